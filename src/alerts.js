@@ -0,0 +1,191 @@
+import { parseTicker } from './tickers.js';
+import { readJsonVar } from './symbols.js';
+import { DEFAULT_FUND_ID } from './funds.js';
+
+// Alert rules, evaluated by the cron job against the current holdings and the last stored snapshot.
+// Configure with ALERT_RULES (JSON array); each rule may limit itself to some roots with "roots".
+//   { "type": "flip" }                                    - a root's net weight changes sign
+//   { "type": "weight-change", "threshold": 0.05 }        - |change in a root's net weight| > threshold
+//   { "type": "total-contribution", "threshold": 0.01 }   - |estimated total contribution| > threshold
+// Weights and contributions are decimals (0.05 = 5%).
+export const DEFAULT_ALERT_RULES = [
+  { type: 'flip' },
+  { type: 'weight-change', threshold: 0.05 },
+  { type: 'total-contribution', threshold: 0.01 }
+];
+
+// Sent events are remembered in KV under this prefix so they fire only once
+const SENT_PREFIX = 'alert:';
+const SENT_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+export function loadAlertRules(env = {}) {
+  if (!env.ALERT_RULES) return DEFAULT_ALERT_RULES;
+
+  const rules = readJsonVar(env.ALERT_RULES);
+  if (!Array.isArray(rules)) {
+    console.error('ALERT_RULES must be a JSON array, using the default rules');
+    return DEFAULT_ALERT_RULES;
+  }
+  return rules;
+}
+
+// ALERT_WEBHOOKS: a JSON array of URLs or { "url", "format" } objects ("json" or "slack"),
+// or just comma-separated URLs. Slack incoming webhook URLs default to the Slack format.
+export function loadWebhooks(env = {}) {
+  const value = env.ALERT_WEBHOOKS;
+  if (!value) return [];
+
+  const entries = typeof value === 'string' && !value.trim().startsWith('[')
+    ? value.split(',').map(url => url.trim()).filter(Boolean)
+    : readJsonVar(value);
+
+  return (Array.isArray(entries) ? entries : []).map(entry => {
+    const webhook = typeof entry === 'string' ? { url: entry } : entry;
+    const format = webhook.format || (webhook.url.startsWith('https://hooks.slack.com/') ? 'slack' : 'json');
+    return { url: webhook.url, format };
+  });
+}
+
+// Events for every rule that matches, for one fund from the registry. current and previous are
+// serialized holdings ({ holdingsDate, totalContribution, holdings }); previous may be null (no
+// stored snapshot yet), in which case only the contribution rule can fire.
+// Each event has an id that is stable for the same fund, rule, day and root, used for dedupe.
+export function evaluateAlertRules(rules, current, previous, fund) {
+  const currentWeights = netWeightByRoot(current.holdings);
+  const previousWeights = previous ? netWeightByRoot(previous.holdings) : null;
+  const events = [];
+
+  rules.forEach(rule => {
+    const appliesTo = root => !rule.roots || rule.roots.map(r => r.toUpperCase()).includes(root);
+
+    switch (rule.type) {
+      case 'flip':
+      case 'weight-change': {
+        if (!previousWeights) return;
+
+        const roots = new Set([...previousWeights.keys(), ...currentWeights.keys()]);
+        roots.forEach(root => {
+          if (!appliesTo(root)) return;
+
+          const from = previousWeights.get(root) || 0;
+          const to = currentWeights.get(root) || 0;
+
+          if (rule.type === 'flip' && from !== 0 && to !== 0 && Math.sign(from) !== Math.sign(to)) {
+            events.push({
+              id: `flip:${current.holdingsDate}:${root}`,
+              type: 'flip',
+              holdingsDate: current.holdingsDate,
+              previousDate: previous.holdingsDate,
+              root,
+              from,
+              to,
+              message: `${root} flipped ${from > 0 ? 'long to short' : 'short to long'}: ${formatWeight(from)} → ${formatWeight(to)}`
+            });
+          }
+
+          if (rule.type === 'weight-change' && Math.abs(to - from) > rule.threshold) {
+            events.push({
+              id: `weight-change>${rule.threshold}:${current.holdingsDate}:${root}`,
+              type: 'weight-change',
+              holdingsDate: current.holdingsDate,
+              previousDate: previous.holdingsDate,
+              root,
+              from,
+              to,
+              threshold: rule.threshold,
+              message: `${root} weight changed by ${formatWeight(to - from, true)}: ${formatWeight(from)} → ${formatWeight(to)}`
+            });
+          }
+        });
+        return;
+      }
+
+      case 'total-contribution': {
+        const total = Number(current.totalContribution) || 0;
+        if (Math.abs(total) > rule.threshold) {
+          events.push({
+            id: `total-contribution>${rule.threshold}:${current.holdingsDate}`,
+            type: 'total-contribution',
+            holdingsDate: current.holdingsDate,
+            value: total,
+            threshold: rule.threshold,
+            message: `Estimated daily move ${formatWeight(total, true)} is past ±${formatWeight(rule.threshold)}`
+          });
+        }
+        return;
+      }
+
+      default:
+        console.warn(`Unknown alert rule type: ${rule.type}`);
+    }
+  });
+
+  // The default fund's ids predate the fund registry and stay unprefixed
+  return events.map(event => ({
+    ...event,
+    id: fund.id === DEFAULT_FUND_ID ? event.id : `${fund.id}:${event.id}`,
+    fund: fund.id,
+    fundName: fund.name
+  }));
+}
+
+// POST the events that haven't been sent yet to every webhook. An event counts as sent (and is
+// not sent again) once at least one webhook accepted it; if all of them fail it is retried on
+// the next run. Returns the events that were delivered.
+export async function sendAlerts(kv, webhooks, events) {
+  const seen = await Promise.all(events.map(event => kv.get(SENT_PREFIX + event.id)));
+  const fresh = events.filter((event, index) => seen[index] === null);
+
+  if (fresh.length === 0 || webhooks.length === 0) {
+    return [];
+  }
+
+  const results = await Promise.all(webhooks.map(async webhook => {
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(webhook.format === 'slack' ? slackPayload(fresh) : { source: 'dbmfview', events: fresh })
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return true;
+    } catch (error) {
+      console.error(`Error posting alerts to ${new URL(webhook.url).host}:`, error.message);
+      return false;
+    }
+  }));
+
+  if (!results.some(Boolean)) {
+    return [];
+  }
+
+  const sentAt = new Date().toISOString();
+  await Promise.all(fresh.map(event =>
+    kv.put(SENT_PREFIX + event.id, sentAt, { expirationTtl: SENT_TTL_SECONDS })));
+
+  return fresh;
+}
+
+function slackPayload(events) {
+  return {
+    text: `${events[0].fundName} alerts for ${events[0].holdingsDate}:\n` + events.map(event => `• ${event.message}`).join('\n')
+  };
+}
+
+// Rolls hold two contracts of the same root for a while, so compare roots rather than contracts
+function netWeightByRoot(holdings) {
+  const weights = new Map();
+  holdings.forEach(holding => {
+    if (!holding['TICKER']) return;
+    const { root } = parseTicker(holding['TICKER']);
+    weights.set(root, (weights.get(root) || 0) + (Number(holding['PCT_HOLDINGS']) || 0));
+  });
+  return weights;
+}
+
+function formatWeight(value, signed = false) {
+  const percent = (value * 100).toFixed(2) + '%';
+  return signed && value > 0 ? '+' + percent : percent;
+}
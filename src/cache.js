@@ -0,0 +1,99 @@
+// Stale-while-revalidate caching of JSON values in the Workers Cache API, backed by Workers KV.
+//
+// Entries are kept for RETENTION_SECONDS regardless of their TTL, so that once an entry is older
+// than its TTL it can still be served while a refresh runs in ctx.waitUntil(), and so that a
+// failing upstream leaves the last good value in place.
+//
+// The Cache API is per data center and does nothing on *.workers.dev, so when a KV namespace is
+// passed entries are also written there under "cache:<key>" and read from it on a cache miss.
+// KV writes are billed and capped per day, so a key refreshed every minute can pass kvInterval to
+// be written to KV at most that often; the Cache API still gets every refresh.
+
+const CACHE_ORIGIN = 'https://dbmfview.internal/cache/';
+const KV_PREFIX = 'cache:';
+// KV keys are limited to 512 bytes; longer keys (quotes for many tickers) are shortened with a hash
+const MAX_KV_KEY_LENGTH = 480;
+const RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+// Returns { value, storedAt, stale, refreshing }. The loader receives the previously cached value
+// (or null) so it can carry forward anything the upstream failed to return.
+export async function cachedJson(key, ttlSeconds, loader, ctx, { bypass = false, kv = null, kvInterval = 0 } = {}) {
+  const cache = typeof caches !== 'undefined' ? caches.default : null;
+
+  // No Cache API (e.g. outside the Workers runtime) and no KV: always load
+  if (!cache && !kv) {
+    return { value: await loader(null), storedAt: new Date().toISOString(), stale: false, refreshing: false };
+  }
+
+  const store = { cache, kv, kvInterval, request: new Request(CACHE_ORIGIN + encodeURIComponent(key)), kvKey: kv ? await kvKeyFor(key) : null };
+  const entry = await readEntry(store, key);
+
+  if (entry && !bypass) {
+    const ageSeconds = (Date.now() - Date.parse(entry.storedAt)) / 1000;
+
+    if (ageSeconds < ttlSeconds) {
+      return { value: entry.value, storedAt: entry.storedAt, stale: false, refreshing: false };
+    }
+
+    if (ctx) {
+      ctx.waitUntil(refresh(store, loader, entry).catch(error => {
+        console.error(`Error refreshing cached ${key}:`, error);
+      }));
+      return { value: entry.value, storedAt: entry.storedAt, stale: true, refreshing: true };
+    }
+  }
+
+  const fresh = await refresh(store, loader, entry);
+  return { value: fresh.value, storedAt: fresh.storedAt, stale: false, refreshing: false };
+}
+
+async function readEntry({ cache, kv, request, kvKey }, key) {
+  const cached = cache ? await cache.match(request) : null;
+  if (cached) {
+    return await cached.json();
+  }
+
+  if (!kv) return null;
+
+  try {
+    return await kv.get(kvKey, 'json');
+  } catch (error) {
+    console.error(`Error reading cached ${key} from KV:`, error);
+    return null;
+  }
+}
+
+// Entries remember when they were last written to KV (kvStoredAt), so the Cache API copy tells
+// whether the KV copy is due for a write
+async function refresh({ cache, kv, kvInterval, request, kvKey }, loader, previous) {
+  const value = await loader(previous ? previous.value : null);
+  const now = Date.now();
+  const writeKv = kv && (!previous?.kvStoredAt || (now - Date.parse(previous.kvStoredAt)) / 1000 >= kvInterval);
+  const storedAt = new Date(now).toISOString();
+  const entry = { value, storedAt, kvStoredAt: writeKv ? storedAt : previous?.kvStoredAt ?? null };
+  const body = JSON.stringify(entry);
+
+  await Promise.all([
+    cache && cache.put(request, new Response(body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': `max-age=${RETENTION_SECONDS}`
+      }
+    })),
+    writeKv && kv.put(kvKey, body, { expirationTtl: RETENTION_SECONDS }).catch(error => {
+      console.error(`Error writing ${kvKey} to KV:`, error);
+    })
+  ]);
+
+  return entry;
+}
+
+async function kvKeyFor(key) {
+  if (KV_PREFIX.length + key.length <= MAX_KV_KEY_LENGTH) {
+    return KV_PREFIX + key;
+  }
+
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key));
+  const hash = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${KV_PREFIX}${key.slice(0, 64)}#${hash}`;
+}
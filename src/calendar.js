@@ -0,0 +1,172 @@
+import { parseTicker } from './tickers.js';
+import { SESSIONS, isFuturesMarketOpen } from './market-hours.js';
+
+// Futures calendar: decodes a held contract (CLZ5) into its last trading day, the date a
+// replicator has to be out of it by, and the exchange session it trades in.
+// Business days are weekdays; exchange holidays are not modelled, so dates can be a day early
+// around holidays.
+
+// Contracts this many business days or fewer from their roll date are inside the roll window
+export const ROLL_WINDOW_DAYS = 5;
+
+// Per-market expiry rules. month is 1-12; each function returns a UTC midnight Date.
+//   lastTrade   - last trading day of the contract
+//   firstNotice - first notice day, for physically delivered contracts where it comes first
+//   session     - key of SESSIONS in market-hours.js
+export const EXPIRY_RULES = {
+  // CME equity index futures: the third Friday of the contract month
+  'equity-index': {
+    lastTrade: (year, month) => nthWeekday(year, month, 5, 3),
+    session: 'globex'
+  },
+  // ICE MSCI index futures: also the third Friday, on ICE's hours
+  'msci': {
+    lastTrade: (year, month) => nthWeekday(year, month, 5, 3),
+    session: 'ice-us'
+  },
+  // CME FX futures: two business days before the third Wednesday
+  'fx': {
+    lastTrade: (year, month) => addBusinessDays(nthWeekday(year, month, 3, 3), -2),
+    session: 'globex'
+  },
+  // NYMEX WTI crude: three business days before the 25th of the previous month (or before the
+  // last business day ahead of the 25th, when the 25th isn't one)
+  'crude-oil': {
+    lastTrade: (year, month) => {
+      const day25 = utcDate(year, month - 1, 25);
+      return addBusinessDays(isBusinessDay(day25) ? day25 : addBusinessDays(day25, -1), -3);
+    },
+    session: 'globex'
+  },
+  // COMEX metals: the third last business day of the contract month, with first notice on the
+  // last business day of the previous month
+  'metals': {
+    lastTrade: (year, month) => addBusinessDays(lastBusinessDay(year, month), -2),
+    firstNotice: (year, month) => lastBusinessDay(year, month - 1),
+    session: 'globex'
+  },
+  // CBOT 10-year and bond futures: seven business days before the last business day of the month
+  'treasury': {
+    lastTrade: (year, month) => addBusinessDays(lastBusinessDay(year, month), -7),
+    firstNotice: (year, month) => lastBusinessDay(year, month - 1),
+    session: 'globex'
+  },
+  // CBOT 2- and 5-year notes: the last business day of the month
+  'treasury-short': {
+    lastTrade: (year, month) => lastBusinessDay(year, month),
+    firstNotice: (year, month) => lastBusinessDay(year, month - 1),
+    session: 'globex'
+  }
+};
+
+// Rules for the roots in DEFAULT_SYMBOL_MAP. Other roots use the symbol map entry's "expiryRule",
+// or the default rule for their asset class.
+const ROOT_RULES = {
+  'CL': 'crude-oil',
+  'ES': 'equity-index',
+  'MES': 'msci',
+  'MFS': 'msci',
+  'JY': 'fx',
+  'EC': 'fx',
+  'GC': 'metals',
+  'US': 'treasury',
+  'TY': 'treasury',
+  'TU': 'treasury-short'
+};
+
+const ASSET_CLASS_RULES = {
+  equity: 'equity-index',
+  rates: 'treasury',
+  currencies: 'fx',
+  energy: 'crude-oil',
+  metals: 'metals'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The calendar for one held contract, relative to referenceDate (YYYY-MM-DD: today's trading date,
+// or the holdings date of a stored snapshot). mapping is the root's symbol map entry, if any.
+// Returns { rule, expiry, rollDate, rollReason, daysToRoll, inRollWindow } with dates as
+// YYYY-MM-DD and daysToRoll in business days (negative once the roll date has passed), or null
+// for tickers without a month code or roots with no known rule.
+export function contractCalendar(ticker, mapping, referenceDate) {
+  const reference = new Date(`${referenceDate}T00:00:00Z`);
+  const { root, month, year } = parseTicker(ticker, reference);
+  const ruleName = resolveRuleName(root, mapping);
+  const rule = EXPIRY_RULES[ruleName];
+
+  if (!month || !rule) return null;
+
+  const lastTrade = rule.lastTrade(year, month);
+  const firstNotice = rule.firstNotice ? rule.firstNotice(year, month) : null;
+  const rollsOnNotice = firstNotice !== null && firstNotice < lastTrade;
+  const rollDate = rollsOnNotice ? firstNotice : lastTrade;
+  const daysToRoll = businessDaysBetween(reference, rollDate);
+
+  return {
+    rule: ruleName,
+    expiry: isoDate(lastTrade),
+    rollDate: isoDate(rollDate),
+    rollReason: rollsOnNotice ? 'first notice day' : 'last trading day',
+    daysToRoll,
+    inRollWindow: daysToRoll <= ROLL_WINDOW_DAYS
+  };
+}
+
+// Whether the root's market is open at date: { open, session } with the session's display name
+export function marketStatus(root, mapping, date = new Date()) {
+  const rule = EXPIRY_RULES[resolveRuleName(root, mapping)];
+  const session = SESSIONS[rule?.session] || SESSIONS.globex;
+  return { open: isFuturesMarketOpen(date, session), session: session.name };
+}
+
+function resolveRuleName(root, mapping) {
+  return mapping?.expiryRule || ROOT_RULES[root] || ASSET_CLASS_RULES[mapping?.assetClass] || null;
+}
+
+// Date.UTC rolls month 0 back to December of the previous year, so month - 1 is always safe
+function utcDate(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function isBusinessDay(date) {
+  const weekday = date.getUTCDay();
+  return weekday !== 0 && weekday !== 6;
+}
+
+function addBusinessDays(date, days) {
+  const step = days < 0 ? -1 : 1;
+  let result = date;
+  for (let remaining = Math.abs(days); remaining > 0;) {
+    result = new Date(result.getTime() + step * DAY_MS);
+    if (isBusinessDay(result)) remaining--;
+  }
+  return result;
+}
+
+function lastBusinessDay(year, month) {
+  const last = utcDate(year, month + 1, 0);
+  return isBusinessDay(last) ? last : addBusinessDays(last, -1);
+}
+
+// The nth given weekday (0 = Sunday) of the month
+function nthWeekday(year, month, weekday, n) {
+  const first = utcDate(year, month, 1);
+  const offset = (weekday - first.getUTCDay() + 7) % 7;
+  return utcDate(year, month, 1 + offset + (n - 1) * 7);
+}
+
+// Business days after from up to and including to; negative when to is earlier
+function businessDaysBetween(from, to) {
+  if (to < from) return -businessDaysBetween(to, from);
+
+  let count = 0;
+  for (let time = from.getTime() + DAY_MS; time <= to.getTime(); time += DAY_MS) {
+    if (isBusinessDay(new Date(time))) count++;
+  }
+  return count;
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
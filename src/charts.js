@@ -0,0 +1,152 @@
+import { escapeHtml } from './format.js';
+
+// Inline SVG charts for /charts, drawn by the worker so the page needs no charting library or CDN.
+// Dates are YYYY-MM-DD strings and are spaced evenly (one step per stored snapshot), so weekends
+// and holidays don't leave gaps.
+
+const WIDTH = 800;
+const HEIGHT = 260;
+const MARGIN = { top: 15, right: 20, bottom: 30, left: 70 };
+
+// Above this many points per series, skip the hover markers to keep the page small
+const MAX_MARKERS = 260;
+
+export const SERIES_COLORS = ['#667eea', '#e65100', '#2e7d32', '#c62828', '#6a1b9a', '#00838f', '#795548', '#546e7a'];
+
+// One line per series: [{ label, color, points: [{ date, value }] }].
+// formatValue formats the y-axis labels and the point tooltips.
+export function lineChart(series, { formatValue = String, title = '' } = {}) {
+  const dates = uniqueDates(series.flatMap(line => line.points));
+
+  if (dates.length === 0) {
+    return '<p>No data in this date range.</p>';
+  }
+
+  const scale = buildScale(dates, series.flatMap(line => line.points.map(point => point.value)));
+  const showMarkers = dates.length <= MAX_MARKERS;
+
+  let svg = openSvg(title) + drawAxes(scale, dates, formatValue);
+
+  series.forEach(line => {
+    const points = line.points.map(point => `${scale.x(point.date)},${scale.y(point.value)}`).join(' ');
+    svg += `<polyline fill="none" stroke="${line.color}" stroke-width="2" stroke-linejoin="round" points="${points}"/>\n`;
+
+    if (showMarkers) {
+      line.points.forEach(point => {
+        svg += `<circle class="chart-marker" cx="${scale.x(point.date)}" cy="${scale.y(point.value)}" r="3" fill="${line.color}">`;
+        svg += `<title>${escapeHtml(line.label)} ${point.date}: ${escapeHtml(formatValue(point.value))}</title></circle>\n`;
+      });
+    }
+  });
+
+  svg += '</svg>\n';
+
+  return svg + (series.length > 1 ? legend(series) : '');
+}
+
+// One bar per date, green above zero and red below: [{ date, value }]
+export function barChart(points, { formatValue = String, title = '' } = {}) {
+  const dates = uniqueDates(points);
+
+  if (dates.length === 0) {
+    return '<p>No data in this date range.</p>';
+  }
+
+  const scale = buildScale(dates, points.map(point => point.value), { bars: true });
+  const barWidth = Math.max(1, scale.step * 0.8);
+
+  let svg = openSvg(title) + drawAxes(scale, dates, formatValue);
+
+  points.forEach(point => {
+    const zero = scale.y(0);
+    const top = Math.min(zero, scale.y(point.value));
+    const height = Math.max(Math.abs(scale.y(point.value) - zero), point.value === 0 ? 0 : 1);
+    const color = point.value >= 0 ? '#2e7d32' : '#c62828';
+    svg += `<rect x="${round(scale.x(point.date) - barWidth / 2)}" y="${round(top)}" width="${round(barWidth)}" height="${round(height)}" fill="${color}">`;
+    svg += `<title>${point.date}: ${escapeHtml(formatValue(point.value))}</title></rect>\n`;
+  });
+
+  svg += '</svg>\n';
+
+  return svg;
+}
+
+function uniqueDates(points) {
+  return [...new Set(points.map(point => point.date))].sort();
+}
+
+// x by date index, y linear over the values (always including zero), with "nice" gridline steps.
+// For bars, each date gets a slot of equal width with the bar centered in it.
+function buildScale(dates, values, { bars = false } = {}) {
+  const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+
+  let min = Math.min(0, ...values);
+  let max = Math.max(0, ...values);
+  if (min === max) max = min + 1;
+
+  const tickStep = niceStep((max - min) / 4);
+  min = Math.floor(min / tickStep) * tickStep;
+  max = Math.ceil(max / tickStep) * tickStep;
+
+  // Whole multiples of the step, so that zero is exactly zero
+  const ticks = [];
+  for (let i = Math.round(min / tickStep); i <= Math.round(max / tickStep); i++) {
+    ticks.push(i * tickStep);
+  }
+
+  const index = new Map(dates.map((date, i) => [date, i]));
+  const slots = bars ? dates.length : dates.length - 1;
+  const step = slots > 0 ? plotWidth / slots : plotWidth;
+  const offset = bars ? step / 2 : 0;
+
+  return {
+    step,
+    ticks,
+    x: date => round(MARGIN.left + offset + (slots > 0 ? index.get(date) * step : plotWidth / 2)),
+    y: value => round(MARGIN.top + (max - value) / (max - min) * plotHeight)
+  };
+}
+
+// 1, 2 or 5 times a power of ten
+function niceStep(rough) {
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+  const residual = rough / magnitude;
+  return (residual > 5 ? 10 : residual > 2 ? 5 : residual > 1 ? 2 : 1) * magnitude;
+}
+
+function openSvg(title) {
+  return `<svg class="chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="${escapeHtml(title)}" xmlns="http://www.w3.org/2000/svg">\n`;
+}
+
+// Horizontal gridlines with y labels, a darker zero line, and first/middle/last date labels
+function drawAxes(scale, dates, formatValue) {
+  let svg = '';
+
+  scale.ticks.forEach(tick => {
+    const y = scale.y(tick);
+    svg += `<line x1="${MARGIN.left}" x2="${WIDTH - MARGIN.right}" y1="${y}" y2="${y}" stroke="${tick === 0 ? '#999' : '#e0e0e0'}"/>\n`;
+    svg += `<text x="${MARGIN.left - 8}" y="${y + 4}" text-anchor="end" font-size="11" fill="#666">${escapeHtml(formatValue(tick))}</text>\n`;
+  });
+
+  const labelled = [...new Set([0, Math.floor((dates.length - 1) / 2), dates.length - 1])];
+  labelled.forEach((i, position) => {
+    const anchor = labelled.length > 1 && position === 0 ? 'start' : position === labelled.length - 1 && labelled.length > 1 ? 'end' : 'middle';
+    svg += `<text x="${scale.x(dates[i])}" y="${HEIGHT - 8}" text-anchor="${anchor}" font-size="11" fill="#666">${dates[i]}</text>\n`;
+  });
+
+  return svg;
+}
+
+function legend(series) {
+  let html = '<div class="chart-legend">';
+  series.forEach(line => {
+    html += `<span><i style="background:${line.color}"></i>${escapeHtml(line.label)}</span>`;
+  });
+  html += '</div>\n';
+  return html;
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
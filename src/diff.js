@@ -0,0 +1,98 @@
+import { parseTicker } from './tickers.js';
+
+// Compare the futures positions of two snapshots contract by contract.
+// Each change carries flags describing what happened to the position:
+//   new      - contract (and root) not held in the earlier snapshot
+//   closed   - contract (and root) no longer held
+//   rolled   - same root, different month code (e.g. CLZ5 -> CLF6)
+//   flipped  - position changed sign (long <-> short)
+//   resized  - share count changed
+export function diffHoldings(fromHoldings, toHoldings) {
+  const fromByTicker = indexByTicker(fromHoldings);
+  const toByTicker = indexByTicker(toHoldings);
+  const changes = [];
+
+  // Contracts present in both snapshots
+  for (const [ticker, toRow] of toByTicker) {
+    const fromRow = fromByTicker.get(ticker);
+    if (!fromRow) continue;
+    changes.push(buildChange(fromRow, toRow, []));
+    fromByTicker.delete(ticker);
+    toByTicker.delete(ticker);
+  }
+
+  // Whatever is left is either a roll (same root on both sides) or a genuinely new/closed position
+  const fromByRoot = groupByRoot(fromByTicker);
+  const toByRoot = groupByRoot(toByTicker);
+  const roots = new Set([...fromByRoot.keys(), ...toByRoot.keys()]);
+
+  for (const root of roots) {
+    const fromRows = fromByRoot.get(root) || [];
+    const toRows = toByRoot.get(root) || [];
+    const pairs = Math.min(fromRows.length, toRows.length);
+
+    for (let i = 0; i < pairs; i++) {
+      changes.push(buildChange(fromRows[i], toRows[i], ['rolled']));
+    }
+    fromRows.slice(pairs).forEach(row => changes.push(buildChange(row, null, ['closed'])));
+    toRows.slice(pairs).forEach(row => changes.push(buildChange(null, row, ['new'])));
+  }
+
+  // Biggest repositioning first
+  changes.sort((a, b) => Math.abs(b.pctChange) - Math.abs(a.pctChange));
+
+  return changes;
+}
+
+function buildChange(fromRow, toRow, flags) {
+  const fromPct = fromRow ? toNumber(fromRow['PCT_HOLDINGS']) : 0;
+  const toPct = toRow ? toNumber(toRow['PCT_HOLDINGS']) : 0;
+  const fromShares = fromRow ? toNumber(fromRow['SHARES']) : 0;
+  const toShares = toRow ? toNumber(toRow['SHARES']) : 0;
+
+  if (fromRow && toRow && Math.sign(fromPct) !== 0 && Math.sign(toPct) !== 0 && Math.sign(fromPct) !== Math.sign(toPct)) {
+    flags.push('flipped');
+  }
+  if (fromRow && toRow && fromShares !== toShares) {
+    flags.push('resized');
+  }
+
+  return {
+    root: parseTicker((toRow || fromRow)['TICKER']).root,
+    fromTicker: fromRow ? fromRow['TICKER'] : null,
+    toTicker: toRow ? toRow['TICKER'] : null,
+    fromPct,
+    toPct,
+    pctChange: toPct - fromPct,
+    fromShares,
+    toShares,
+    sharesChange: toShares - fromShares,
+    flags
+  };
+}
+
+function indexByTicker(holdings) {
+  const byTicker = new Map();
+  holdings.forEach(row => {
+    if (row['TICKER']) {
+      byTicker.set(String(row['TICKER']).trim(), row);
+    }
+  });
+  return byTicker;
+}
+
+// Group rows by root, ordered by ticker so rolls pair up deterministically
+function groupByRoot(byTicker) {
+  const byRoot = new Map();
+  [...byTicker.keys()].sort().forEach(ticker => {
+    const { root } = parseTicker(ticker);
+    if (!byRoot.has(root)) byRoot.set(root, []);
+    byRoot.get(root).push(byTicker.get(ticker));
+  });
+  return byRoot;
+}
+
+function toNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+}
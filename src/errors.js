@@ -0,0 +1,33 @@
+// Errors that map to a specific HTTP status and a clear explanation on the error page.
+// Anything else thrown while handling a request is reported as a 500.
+
+// An upstream service (the holdings spreadsheet host) failed or could not be reached
+export class UpstreamError extends Error {
+  constructor(message, { source = null, upstreamStatus = null } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.status = 502;
+    this.source = source;
+    this.upstreamStatus = upstreamStatus;
+  }
+}
+
+// The holdings workbook doesn't have the layout or columns the parser expects
+export class SchemaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SchemaError';
+    this.status = 502;
+  }
+}
+
+// The request asks for something that can't be served, such as a malformed date or a date with
+// no stored data. title is the heading shown on the error page.
+export class RequestError extends Error {
+  constructor(message, { status = 400, title = 'Invalid request' } = {}) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+    this.title = title;
+  }
+}
@@ -0,0 +1,47 @@
+import { ASSET_CLASSES } from './symbols.js';
+
+// Net/gross PCT_HOLDINGS, net/gross notional (BASE_MV, in dollars) and summed daily contribution
+// and dollar P&L per asset class, in ASSET_CLASSES order.
+// Holdings whose root has no asset class are grouped under "other".
+export function summarizeExposure(dataWithContributions) {
+  const byClass = new Map();
+
+  dataWithContributions.forEach(item => {
+    const assetClass = item.assetClass || 'other';
+    const pct = Number(item.original['PCT_HOLDINGS']) || 0;
+    const notional = Number(item.original['BASE_MV']) || 0;
+
+    if (!byClass.has(assetClass)) {
+      byClass.set(assetClass, { assetClass, positions: 0, net: 0, gross: 0, netNotional: 0, grossNotional: 0, contribution: 0, pnl: 0 });
+    }
+
+    const summary = byClass.get(assetClass);
+    summary.positions += 1;
+    summary.net += pct;
+    summary.gross += Math.abs(pct);
+    summary.netNotional += notional;
+    summary.grossNotional += Math.abs(notional);
+    summary.contribution += item.contribution;
+    summary.pnl += item.pnl || 0;
+  });
+
+  const order = [...Object.keys(ASSET_CLASSES), 'other'];
+
+  return [...byClass.values()]
+    .sort((a, b) => order.indexOf(a.assetClass) - order.indexOf(b.assetClass))
+    .map(summary => ({ ...summary, label: ASSET_CLASSES[summary.assetClass] || 'Other' }));
+}
+
+// Futures notional against the collateral (T-bills, money-market funds, cash) backing it, as a
+// fraction of NAV and in dollars. PCT_HOLDINGS already expresses each futures line's notional
+// relative to net assets; BASE_MV is the same notional in dollars.
+export function summarizeLeverage(dataWithContributions, collateral) {
+  const futuresNet = dataWithContributions.reduce((sum, item) => sum + (Number(item.original['PCT_HOLDINGS']) || 0), 0);
+  const futuresGross = dataWithContributions.reduce((sum, item) => sum + Math.abs(Number(item.original['PCT_HOLDINGS']) || 0), 0);
+  const netNotional = dataWithContributions.reduce((sum, item) => sum + (Number(item.original['BASE_MV']) || 0), 0);
+  const grossNotional = dataWithContributions.reduce((sum, item) => sum + Math.abs(Number(item.original['BASE_MV']) || 0), 0);
+  const collateralPct = collateral.reduce((sum, row) => sum + (Number(row['PCT_HOLDINGS']) || 0), 0);
+  const collateralValue = collateral.reduce((sum, row) => sum + (Number(row['BASE_MV']) || 0), 0);
+
+  return { futuresGross, futuresNet, grossNotional, netNotional, collateralPct, collateralValue };
+}
@@ -0,0 +1,50 @@
+import { spansGap } from './history.js';
+
+// Compare each day's estimated fund move (sum of holdings % × daily change) with the realized
+// NAV change reported by the next holdings file.
+//
+// The estimate stored with the snapshot dated D uses D's positions and the quotes seen while D's
+// file was current, so it predicts the NAV move from D to the next file's date. Pairs that span
+// missing snapshots (see spansGap) are skipped, since the realized NAV change would cover several
+// estimated days.
+
+const TRADING_DAYS_PER_YEAR = 252;
+
+export function computeFidelity(summaries) {
+  const rows = [];
+
+  for (let i = 0; i + 1 < summaries.length; i++) {
+    const current = summaries[i];
+    const next = summaries[i + 1];
+
+    if (!current.nav || !next.nav || typeof current.totalContribution !== 'number') continue;
+    if (spansGap(current.date, next.date)) continue;
+
+    const estimated = current.totalContribution;
+    const realized = next.nav / current.nav - 1;
+    rows.push({ from: current.date, to: next.date, estimated, realized, difference: estimated - realized });
+  }
+
+  if (rows.length === 0) {
+    return { rows, count: 0, trackingError: null, annualizedTrackingError: null, meanError: null, hitRate: null };
+  }
+
+  const differences = rows.map(row => row.difference);
+  const meanError = differences.reduce((sum, value) => sum + value, 0) / rows.length;
+  const variance = rows.length > 1
+    ? differences.reduce((sum, value) => sum + (value - meanError) ** 2, 0) / (rows.length - 1)
+    : 0;
+  const trackingError = Math.sqrt(variance);
+
+  // A hit is an estimate with the same direction as the realized move (both flat also counts)
+  const hits = rows.filter(row => Math.sign(row.estimated) === Math.sign(row.realized)).length;
+
+  return {
+    rows,
+    count: rows.length,
+    trackingError,
+    annualizedTrackingError: trackingError * Math.sqrt(TRADING_DAYS_PER_YEAR),
+    meanError,
+    hitRate: hits / rows.length
+  };
+}
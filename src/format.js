@@ -0,0 +1,70 @@
+// Display formatting shared by the pages, the holdings pipeline and the exports
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export function formatDate(dateNum) {
+  if (!dateNum) return '';
+  const dateStr = String(dateNum);
+  // Format: YYYYMMDD -> YYYY-MM-DD
+  if (dateStr.length === 8) {
+    return `${dateStr.slice(0,4)}-${dateStr.slice(4,6)}-${dateStr.slice(6,8)}`;
+  }
+  return dateStr;
+}
+
+export function formatAge(milliseconds) {
+  const seconds = Math.max(0, Math.round(milliseconds / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.round(seconds / 60)} min`;
+  return `${(seconds / 3600).toFixed(1)} h`;
+}
+
+export function formatNumber(num) {
+  if (num === null || num === undefined || num === '') return '';
+  return new Intl.NumberFormat('en-US').format(num);
+}
+
+export function formatCurrency(num) {
+  if (num === null || num === undefined || num === '') return '';
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0
+  }).format(num);
+}
+
+export function formatPrice(num) {
+  if (num === null || num === undefined || num === '') return '';
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(num);
+}
+
+export function formatPercent(num) {
+  if (num === null || num === undefined || num === '') return '';
+  return new Intl.NumberFormat('en-US', {
+    style: 'percent',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(num);
+}
+
+export function formatChangePercent(num) {
+  if (num === null || num === undefined || num === '') return '';
+  const formatted = new Intl.NumberFormat('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+    signDisplay: 'always'
+  }).format(num);
+  return formatted + '%';
+}
@@ -0,0 +1,88 @@
+import { readJsonVar } from './symbols.js';
+
+// Funds whose daily holdings files can be viewed, keyed by the id used in /fund/:id. Entries:
+//   name       - short display name (usually the ticker), used in page titles
+//   title      - full fund name, shown on the /funds landing page
+//   sourceUrl  - the daily holdings file (.xlsx, or anything else SheetJS reads, such as .csv)
+//   parser     - name of a profile in PARSER_PROFILES (workbook.js), or a profile object
+//   symbolMap  - symbol map overrides for this fund's roots, in the same format as SYMBOL_MAP
+export const DEFAULT_FUND_ID = 'dbmf';
+
+export const DEFAULT_FUNDS = {
+  dbmf: {
+    name: 'DBMF',
+    title: 'iMGP DBi Managed Futures Strategy ETF',
+    sourceUrl: 'https://imgpfunds.com/wp-content/uploads/pdfs/holdings/DBMF-Holdings.xlsx',
+    parser: 'imgp'
+  }
+};
+
+export const FUNDS_KV_KEY = 'funds';
+
+// Used for pages outside any fund (/funds) and for errors raised before the registry loads
+export const DEFAULT_FUND = normalizeFund(DEFAULT_FUND_ID, DEFAULT_FUNDS[DEFAULT_FUND_ID]);
+
+const FUND_ID_PATTERN = /^[a-z0-9-]+$/;
+
+// Merge fund entries over the defaults, lowest precedence first (like loadSymbolMap):
+//   1. DEFAULT_FUNDS
+//   2. FUNDS variable (JSON string or TOML table in wrangler [vars])
+//   3. "funds" key in the CONFIG KV namespace
+// Returns { [id]: { id, basePath, name, title, sourceUrl, parser, symbolMap } }, default fund first.
+export async function loadFundRegistry(env = {}) {
+  const funds = {};
+
+  Object.entries(DEFAULT_FUNDS).forEach(([id, entry]) => {
+    funds[id] = { ...entry };
+  });
+
+  mergeFunds(funds, readJsonVar(env.FUNDS));
+
+  if (env.CONFIG) {
+    try {
+      mergeFunds(funds, (await env.CONFIG.get(FUNDS_KV_KEY, 'json')) || {});
+    } catch (error) {
+      console.error('Error loading fund registry from KV:', error);
+    }
+  }
+
+  const registry = {};
+  Object.entries(funds).forEach(([id, entry]) => {
+    if (!entry.sourceUrl) {
+      console.warn(`Fund ${id} has no sourceUrl, skipping it`);
+      return;
+    }
+    registry[id] = normalizeFund(id, entry);
+  });
+
+  return registry;
+}
+
+// A registry entry with its id, base path and defaults filled in
+export function normalizeFund(id, entry) {
+  return {
+    id,
+    basePath: fundBasePath(id),
+    name: entry.name || id.toUpperCase(),
+    title: entry.title || entry.name || id.toUpperCase(),
+    sourceUrl: entry.sourceUrl,
+    parser: entry.parser || 'imgp',
+    symbolMap: entry.symbolMap || {}
+  };
+}
+
+// The default fund keeps the original unprefixed routes (/, /history, /api/holdings, ...)
+function fundBasePath(id) {
+  return id === DEFAULT_FUND_ID ? '' : `/fund/${id}`;
+}
+
+function mergeFunds(funds, overrides) {
+  Object.entries(overrides).forEach(([id, entry]) => {
+    const key = id.toLowerCase();
+    if (!FUND_ID_PATTERN.test(key)) {
+      console.warn(`Invalid fund id: ${id} (use lowercase letters, digits and dashes)`);
+      return;
+    }
+    funds[key] = { ...funds[key], ...entry };
+  });
+}
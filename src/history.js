@@ -0,0 +1,152 @@
+import { DEFAULT_FUND_ID } from './funds.js';
+import { ASSET_CLASSES } from './symbols.js';
+import { parseTicker } from './tickers.js';
+
+// Daily holdings snapshots stored in Workers KV, keyed by the holdings DATE (YYYY-MM-DD), and the
+// settlement prices recorded alongside them, keyed by trading date.
+// The default fund's keys are "snapshot:YYYY-MM-DD"; other funds' are "<fund id>/snapshot:YYYY-MM-DD",
+// so listing one fund's prefix never returns another fund's snapshots. Settlements work the same way.
+
+const SNAPSHOT_PREFIX = 'snapshot:';
+const SETTLEMENT_PREFIX = 'settlements:';
+
+// KV key metadata is limited to 1024 bytes of JSON
+const MAX_METADATA_BYTES = 1024;
+
+export const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Consecutive stored days further apart than this (in calendar days) span missing data, since a
+// weekend plus a holiday is the longest regular gap. /fidelity skips such pairs and ?asOf rejects them.
+export const MAX_GAP_DAYS = 4;
+
+// Whether the YYYY-MM-DD dates from and to are more than MAX_GAP_DAYS apart
+export function spansGap(from, to) {
+  return (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) > MAX_GAP_DAYS;
+}
+
+// YYYY-MM-DD and an actual calendar date (rejects 2025-13-45, which Date would roll over or refuse)
+export function isIsoDate(value) {
+  if (!ISO_DATE_PATTERN.test(value || '')) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// The day's NAV, estimated total contribution and net weights are also stored as key metadata,
+// so the whole daily series can be read with a single list() call
+export async function saveSnapshot(kv, snapshot, fundId = DEFAULT_FUND_ID) {
+  if (!snapshot.holdingsDate) {
+    throw new Error('Cannot store a snapshot without a holdings date');
+  }
+  await kv.put(snapshotPrefix(fundId) + snapshot.holdingsDate, JSON.stringify(snapshot), {
+    metadata: snapshotMetadata(snapshot)
+  });
+}
+
+// Returns null when no snapshot exists for the date
+export async function loadSnapshot(kv, date, fundId = DEFAULT_FUND_ID) {
+  return await kv.get(snapshotPrefix(fundId) + date, 'json');
+}
+
+// List every stored snapshot date, oldest first
+export async function listSnapshotDates(kv, fundId = DEFAULT_FUND_ID) {
+  const keys = await listSnapshotKeys(kv, fundId);
+  return keys.map(key => key.date);
+}
+
+// Daily { date, nav, totalContribution, quotesFetchedAt } series, oldest first. With weights,
+// each day also has the net weights of snapshotWeights(), for /charts.
+// Snapshots stored without that metadata (or whose weights didn't fit in it) are loaded in full.
+export async function listSnapshotSummaries(kv, fundId = DEFAULT_FUND_ID, { weights = false } = {}) {
+  const keys = await listSnapshotKeys(kv, fundId);
+
+  return await Promise.all(keys.map(async key => {
+    if (key.metadata && (!weights || key.metadata.weights)) {
+      const { weights: stored, ...summary } = key.metadata;
+      return { date: key.date, ...summary, ...(weights ? { weights: stored } : {}) };
+    }
+    const snapshot = await loadSnapshot(kv, key.date, fundId);
+    return { date: key.date, ...summarizeSnapshot(snapshot), ...(weights ? { weights: snapshotWeights(snapshot) } : {}) };
+  }));
+}
+
+// Net PCT_HOLDINGS per asset class (in ASSET_CLASSES order, then "other") and per ticker root:
+// { classes: { equity: 0.21, ... }, roots: { ES: 0.16, ... } }
+export function snapshotWeights(snapshot) {
+  const classes = new Map();
+  const roots = {};
+
+  snapshot.holdings.forEach(holding => {
+    const weight = Number(holding['PCT_HOLDINGS']) || 0;
+    const assetClass = holding.assetClass || 'other';
+    const { root } = parseTicker(holding['TICKER']);
+    classes.set(assetClass, (classes.get(assetClass) || 0) + weight);
+    roots[root] = (roots[root] || 0) + weight;
+  });
+
+  const order = [...Object.keys(ASSET_CLASSES), 'other'];
+  const round = value => Math.round(value * 1e6) / 1e6;
+
+  return {
+    classes: Object.fromEntries([...classes.entries()]
+      .sort((a, b) => order.indexOf(a[0]) - order.indexOf(b[0]))
+      .map(([assetClass, weight]) => [assetClass, round(weight)])),
+    roots: Object.fromEntries(Object.entries(roots).map(([root, weight]) => [root, round(weight)]))
+  };
+}
+
+// One trading day's settlement prices by holdings ticker: { "CLZ5": 61.23, ... }
+export async function saveSettlements(kv, date, prices, fundId = DEFAULT_FUND_ID) {
+  await kv.put(keyPrefix(SETTLEMENT_PREFIX, fundId) + date, JSON.stringify(prices));
+}
+
+// Returns null when no settlements were stored for the date
+export async function loadSettlements(kv, date, fundId = DEFAULT_FUND_ID) {
+  return await kv.get(keyPrefix(SETTLEMENT_PREFIX, fundId) + date, 'json');
+}
+
+// Every trading date with stored settlements, oldest first
+export async function listSettlementDates(kv, fundId = DEFAULT_FUND_ID) {
+  const keys = await listKeys(kv, keyPrefix(SETTLEMENT_PREFIX, fundId));
+  return keys.map(key => key.date);
+}
+
+function keyPrefix(prefix, fundId) {
+  return fundId === DEFAULT_FUND_ID ? prefix : `${fundId}/${prefix}`;
+}
+
+function snapshotPrefix(fundId) {
+  return keyPrefix(SNAPSHOT_PREFIX, fundId);
+}
+
+async function listSnapshotKeys(kv, fundId) {
+  return await listKeys(kv, snapshotPrefix(fundId));
+}
+
+async function listKeys(kv, prefix) {
+  const keys = [];
+  let cursor;
+
+  do {
+    const page = await kv.list({ prefix, cursor });
+    page.keys.forEach(key => keys.push({ date: key.name.slice(prefix.length), metadata: key.metadata }));
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+
+  return keys.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// The summary plus the weights, unless a fund with many roots would pass the metadata limit
+function snapshotMetadata(snapshot) {
+  const summary = summarizeSnapshot(snapshot);
+  const withWeights = { ...summary, weights: snapshotWeights(snapshot) };
+  return new TextEncoder().encode(JSON.stringify(withWeights)).length <= MAX_METADATA_BYTES ? withWeights : summary;
+}
+
+function summarizeSnapshot(snapshot) {
+  const nav = snapshot.fund ? Number(snapshot.fund['NAV']) : NaN;
+  return {
+    nav: Number.isFinite(nav) ? nav : null,
+    totalContribution: snapshot.totalContribution,
+    quotesFetchedAt: snapshot.quotesFetchedAt
+  };
+}
@@ -0,0 +1,301 @@
+import { ISO_DATE_PATTERN, loadSnapshot, listSnapshotDates } from './history.js';
+import { fetchTickerPrices } from './quotes.js';
+import { parseTicker } from './tickers.js';
+import { loadSymbolMap } from './symbols.js';
+import { summarizeExposure, summarizeLeverage } from './exposure.js';
+import { cachedJson } from './cache.js';
+import { UpstreamError, RequestError } from './errors.js';
+import { parseHoldingsWorkbook, resolveParserProfile } from './workbook.js';
+import { exchangeDate } from './market-hours.js';
+import { loadSettlementWindow, settlementReturns } from './settlements.js';
+import { contractCalendar, marketStatus } from './calendar.js';
+import { formatDate, formatChangePercent } from './format.js';
+
+// The holdings pipeline: fetch and parse a fund's workbook, price each futures line, and
+// work out its contribution. Everything here returns plain data; index.js turns it into
+// pages and API responses.
+
+// How long the parsed workbook and the quotes are served without a refresh (seconds).
+// Override with WORKBOOK_CACHE_TTL / QUOTES_CACHE_TTL.
+const DEFAULT_WORKBOOK_CACHE_TTL = 60 * 60;
+export const DEFAULT_QUOTES_CACHE_TTL = 60;
+
+// The KV copy of the quotes is only a fallback (another data center, workers.dev), so it is
+// written at most this often (seconds): about 90 writes a day per fund while Globex is open,
+// instead of one per refresh. Override with QUOTES_KV_INTERVAL.
+const DEFAULT_QUOTES_KV_INTERVAL = 15 * 60;
+
+// Plain-JSON form of loadHoldings() results, used by the API and for stored snapshots
+export function serializeHoldings({ holdingsDate, quotesFetchedAt, fundInfo, dataWithContributions, totalContribution, exposures, collateral, leverage, settlement }) {
+  const holdings = dataWithContributions.map(item => {
+    const hasQuote = item.dailyChangeStr && item.dailyChangeStr !== 'N/A';
+    return {
+      ...item.original,
+      dailyChangePct: hasQuote ? item.dailyChangePct : null,
+      contribution: hasQuote ? item.contribution : null,
+      pnl: hasQuote ? item.pnl ?? null : null,
+      quoteSource: item.quoteSource ?? null,
+      quoteSymbol: item.quoteSymbol ?? null,
+      exactContract: item.exactContract ?? null,
+      quoteFetchedAt: item.quoteFetchedAt ?? null,
+      quotePrice: item.quotePrice ?? null,
+      quoteError: item.quoteError ?? null,
+      marketOpen: item.marketOpen ?? null,
+      assetClass: item.assetClass ?? null,
+      expiry: item.calendar ? item.calendar.expiry : null,
+      rollDate: item.calendar ? item.calendar.rollDate : null,
+      daysToRoll: item.calendar ? item.calendar.daysToRoll : null,
+      inRollWindow: item.calendar ? item.calendar.inRollWindow : null
+    };
+  });
+
+  return {
+    holdingsDate,
+    quotesFetchedAt,
+    ...(settlement ? { settlement } : {}),
+    fund: fundInfo,
+    totalContribution,
+    exposures,
+    leverage,
+    holdings,
+    collateral
+  };
+}
+
+// Inverse of serializeHoldings(), so stored snapshots render through the same table code
+export function deserializeHoldings(snapshot) {
+  // The calendar is recomputed as of the snapshot's date; whether markets were open isn't kept
+  const dataWithContributions = snapshot.holdings.map(({ dailyChangePct, contribution, pnl, quoteSource, quoteSymbol, exactContract, quoteFetchedAt, quotePrice, quoteError, marketOpen, assetClass, expiry, rollDate, daysToRoll, inRollWindow, ...original }) => {
+    const hasQuote = dailyChangePct !== null;
+    return {
+      original,
+      dailyChangeStr: hasQuote ? formatChangePercent(dailyChangePct * 100) : 'N/A',
+      dailyChangePct: hasQuote ? dailyChangePct : 0,
+      contribution: hasQuote ? contribution : 0,
+      // Snapshots stored before P&L was tracked only have the market value and the change
+      pnl: hasQuote ? pnl ?? estimatePnl(original, dailyChangePct) : null,
+      quoteSource: quoteSource ?? null,
+      quoteSymbol: quoteSymbol ?? null,
+      exactContract: exactContract ?? null,
+      quoteFetchedAt: quoteFetchedAt ?? null,
+      quotePrice: quotePrice ?? null,
+      quoteError: quoteError ?? null,
+      assetClass: assetClass ?? null,
+      calendar: contractCalendar(original['TICKER'], { assetClass }, snapshot.holdingsDate)
+    };
+  });
+
+  // Snapshots stored before collateral was kept have no collateral rows
+  const collateral = snapshot.collateral || [];
+
+  return {
+    holdingsDate: snapshot.holdingsDate,
+    quotesFetchedAt: snapshot.quotesFetchedAt,
+    fundInfo: snapshot.fund,
+    dataWithContributions,
+    totalContribution: snapshot.totalContribution,
+    exposures: summarizeExposure(dataWithContributions),
+    collateral,
+    leverage: summarizeLeverage(dataWithContributions, collateral)
+  };
+}
+
+// Load the (cached) workbook, enrich each holding with its daily change and sort by contribution
+export async function loadHoldings(fund, env, ctx, options = {}) {
+  const [workbook, symbolMap] = await Promise.all([loadWorkbook(fund, env, ctx, options), loadSymbolMap(env, fund.symbolMap)]);
+  const { fundInfo, filteredData } = workbook;
+  const collateral = workbook.collateralData || [];
+
+  // Fetch prices for all tickers
+  const tickers = filteredData.map(row => row['TICKER']);
+  const quotes = await loadQuotes(fund, tickers, symbolMap, env, ctx, options);
+  const prices = quotes.value;
+  const quotesFetchedAt = quotes.storedAt;
+
+  // Calculate contributions and prepare data for sorting
+  const now = new Date();
+  const today = exchangeDate(now);
+  const dataWithContributions = filteredData.map((row, index) => {
+    const holdingsPct = row['PCT_HOLDINGS'];
+    const quote = prices[row['TICKER']];
+    const root = parseTicker(row['TICKER']).root;
+    let dailyChangeStr = 'N/A';
+    let dailyChangePct = 0;
+    let contribution = 0;
+    let pnl = null;
+
+    if (quote.changePct !== null) {
+      dailyChangeStr = formatChangePercent(quote.changePct);
+      dailyChangePct = quote.changePct / 100; // Convert to decimal
+      contribution = holdingsPct * dailyChangePct; // Both are decimals now
+      pnl = estimatePnl(row, dailyChangePct);
+    }
+
+    return {
+      original: row,
+      dailyChangeStr: dailyChangeStr,
+      dailyChangePct: dailyChangePct,
+      contribution: contribution,
+      pnl: pnl,
+      quoteSource: quote.source,
+      quoteSymbol: quote.symbol,
+      exactContract: quote.exactContract,
+      quoteFetchedAt: quote.fetchedAt,
+      quotePrice: quote.price ?? null,
+      quoteError: quote.error || null,
+      marketOpen: marketStatus(root, symbolMap[root], now).open,
+      assetClass: symbolMap[root]?.assetClass || null,
+      calendar: contractCalendar(row['TICKER'], symbolMap[root], today)
+    };
+  });
+
+  // Sort by contribution (descending - highest positive contributions first)
+  dataWithContributions.sort((a, b) => b.contribution - a.contribution);
+
+  // Calculate total contribution
+  const totalContribution = dataWithContributions.reduce((sum, item) => sum + item.contribution, 0);
+
+  const holdingsDate = filteredData.length > 0 ? formatDate(filteredData[0]['DATE']) : null;
+  const exposures = summarizeExposure(dataWithContributions);
+  const leverage = summarizeLeverage(dataWithContributions, collateral);
+
+  const cacheStatus = {
+    workbook: workbook.cacheStatus,
+    quotes: { storedAt: quotes.storedAt, stale: quotes.stale, refreshing: quotes.refreshing }
+  };
+
+  const schemaIssues = workbook.schema.issues;
+
+  return { holdingsDate, quotesFetchedAt, fundInfo, dataWithContributions, totalContribution, exposures, collateral, leverage, cacheStatus, schemaIssues };
+}
+
+// ?asOf=YYYY-MM-DD: each contract's settlement-to-settlement return for that trading day,
+// attributed with the holdings in force going into it. Like the estimate stored with each
+// snapshot (see fidelity.js), the file dated D holds the positions for the move after D, so the
+// holdings used are the latest snapshot dated before asOf.
+export async function loadSettlementHoldings(fund, asOf, env) {
+  if (!ISO_DATE_PATTERN.test(asOf)) {
+    throw new RequestError('asOf must be a date in YYYY-MM-DD format');
+  }
+  if (!env.HOLDINGS_HISTORY) {
+    throw new RequestError('History is not configured: bind a HOLDINGS_HISTORY KV namespace in wrangler.toml', { status: 503, title: 'History not configured' });
+  }
+
+  const holdingsDate = (await listSnapshotDates(env.HOLDINGS_HISTORY, fund.id)).filter(date => date < asOf).pop();
+  if (!holdingsDate) {
+    throw new RequestError(`No holdings snapshot is stored before ${asOf}`, { status: 404, title: 'No holdings for this date' });
+  }
+
+  const [snapshot, window] = await Promise.all([
+    loadSnapshot(env.HOLDINGS_HISTORY, holdingsDate, fund.id),
+    loadSettlementWindow(env.HOLDINGS_HISTORY, env, asOf, fund.id)
+  ]);
+  const holdings = deserializeHoldings(snapshot);
+  const returns = settlementReturns(holdings.dataWithContributions.map(item => item.original['TICKER']), window);
+
+  const dataWithContributions = holdings.dataWithContributions.map(item => {
+    const settlement = returns[item.original['TICKER']];
+    const hasReturn = settlement.changePct !== null;
+    const dailyChangePct = hasReturn ? settlement.changePct / 100 : 0;
+
+    return {
+      ...item,
+      dailyChangeStr: hasReturn ? formatChangePercent(settlement.changePct) : 'N/A',
+      dailyChangePct,
+      contribution: hasReturn ? item.original['PCT_HOLDINGS'] * dailyChangePct : 0,
+      pnl: hasReturn ? estimatePnl(item.original, dailyChangePct) : null,
+      quoteSource: hasReturn ? 'settlement' : null,
+      quoteSymbol: hasReturn ? item.original['TICKER'] : null,
+      exactContract: hasReturn ? true : null,
+      quoteFetchedAt: null,
+      quotePrice: settlement.settle,
+      quoteError: settlement.error
+    };
+  });
+
+  dataWithContributions.sort((a, b) => b.contribution - a.contribution);
+
+  return {
+    ...holdings,
+    quotesFetchedAt: null,
+    dataWithContributions,
+    totalContribution: dataWithContributions.reduce((sum, item) => sum + item.contribution, 0),
+    exposures: summarizeExposure(dataWithContributions),
+    leverage: summarizeLeverage(dataWithContributions, holdings.collateral),
+    settlement: { asOf, previousDate: window.previousDate, holdingsDate }
+  };
+}
+
+// Dollar P&L estimate for a futures line: its notional (BASE_MV) times the daily change.
+// null when the workbook has no market value for the row.
+function estimatePnl(row, dailyChangePct) {
+  return typeof row['BASE_MV'] === 'number' ? row['BASE_MV'] * dailyChangePct : null;
+}
+
+// Quotes for the given tickers, cached for QUOTES_CACHE_TTL seconds. When a provider fails for a
+// ticker (e.g. Barchart rate-limiting us), the last good quote from the previous cache entry is kept.
+async function loadQuotes(fund, tickers, symbolMap, env, ctx, options) {
+  const ttl = quotesCacheTtl(env);
+  // Per fund, since a fund's symbol map overrides can quote the same ticker differently
+  const key = `quotes:${fund.id}:${[...tickers].sort().join(',')}`;
+
+  return await cachedJson(key, ttl, async previous => {
+    const prices = await fetchTickerPrices(tickers, env, symbolMap);
+    const fetchedAt = new Date().toISOString();
+
+    Object.keys(prices).forEach(ticker => {
+      const lastGood = previous && previous[ticker];
+      if (prices[ticker].changePct === null && lastGood && lastGood.changePct !== null) {
+        prices[ticker] = lastGood;
+      } else {
+        prices[ticker] = { ...prices[ticker], fetchedAt: prices[ticker].changePct === null ? null : fetchedAt };
+      }
+    });
+
+    return prices;
+  }, ctx, { ...options, kv: env.HOLDINGS_HISTORY, kvInterval: Number(env.QUOTES_KV_INTERVAL) || DEFAULT_QUOTES_KV_INTERVAL });
+}
+
+export function quotesCacheTtl(env) {
+  return Number(env.QUOTES_CACHE_TTL) || DEFAULT_QUOTES_CACHE_TTL;
+}
+
+// The parsed workbook, cached for WORKBOOK_CACHE_TTL seconds (the file changes once a day)
+export async function loadWorkbook(fund, env, ctx, options = {}) {
+  const ttl = Number(env.WORKBOOK_CACHE_TTL) || DEFAULT_WORKBOOK_CACHE_TTL;
+  const { value, storedAt, stale, refreshing } = await cachedJson(`workbook:${fund.id}`, ttl, () => fetchWorkbook(fund), ctx, { ...options, kv: env.HOLDINGS_HISTORY });
+
+  return { ...value, cacheStatus: { storedAt, stale, refreshing } };
+}
+
+// Fetch and parse the Excel file into the fund info block, the futures rows and the collateral rows
+export async function fetchWorkbook(fund) {
+  // Fetch the Excel file
+  let response;
+  try {
+    response = await fetch(fund.sourceUrl);
+  } catch (error) {
+    throw new UpstreamError(`Could not reach the holdings spreadsheet: ${error.message}`, { source: fund.sourceUrl });
+  }
+
+  if (!response.ok) {
+    throw new UpstreamError(`Failed to fetch Excel file: ${response.status} ${response.statusText}`, {
+      source: fund.sourceUrl,
+      upstreamStatus: response.status
+    });
+  }
+
+  // Get the file as ArrayBuffer
+  const arrayBuffer = await response.arrayBuffer();
+
+  // Parse the Excel file with the fund's parser profile, locating the header row and mapping renamed columns
+  const { fundInfo, rows, schema } = parseHoldingsWorkbook(arrayBuffer, resolveParserProfile(fund.parser));
+
+  // Rows with a ticker are the futures; the rest are the T-bills, money-market funds and cash
+  // held as collateral, which make up most of the net assets
+  const hasTicker = row => row['TICKER'] && String(row['TICKER']).trim() !== '';
+  const filteredData = rows.filter(hasTicker);
+  const collateralData = rows.filter(row => !hasTicker(row));
+
+  return { fundInfo, filteredData, collateralData, schema };
+}
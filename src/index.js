@@ -1,611 +1,830 @@
 import * as XLSX from 'xlsx';
+import { ISO_DATE_PATTERN, isIsoDate, saveSnapshot, loadSnapshot, listSnapshotDates, listSnapshotSummaries, saveSettlements } from './history.js';
+import { diffHoldings } from './diff.js';
+import { fetchTickerPrices } from './quotes.js';
+import { parseTicker } from './tickers.js';
+import { ASSET_CLASSES, loadSymbolMap } from './symbols.js';
+import { computeFidelity } from './fidelity.js';
+import { UpstreamError, SchemaError, RequestError } from './errors.js';
+import { DEFAULT_FUND, DEFAULT_FUND_ID, loadFundRegistry } from './funds.js';
+import { futuresMarketStatus, exchangeDate, isDailyBreak } from './market-hours.js';
+import { lineChart, barChart, SERIES_COLORS } from './charts.js';
+import { loadAlertRules, loadWebhooks, evaluateAlertRules, sendAlerts } from './alerts.js';
+import { DEFAULT_QUOTES_CACHE_TTL, loadHoldings, loadSettlementHoldings, loadWorkbook, fetchWorkbook, quotesCacheTtl, serializeHoldings, deserializeHoldings } from './holdings.js';
+import { renderPage, renderHoldingsPage } from './render.js';
+import { summarizeDailyMove, renderSummaryCard, renderSummarySvg, renderSummaryPng, openGraphTags } from './share.js';
+import { escapeHtml, formatNumber, formatPercent, formatChangePercent } from './format.js';
 
-const EXCEL_URL = 'https://imgpfunds.com/wp-content/uploads/pdfs/holdings/DBMF-Holdings.xlsx';
-
-// Symbol mapping from DBMF tickers to Barchart root symbols
-const BARCHART_SYMBOL_MAP = {
-  'CL': 'CL',   // Crude Oil
-  'ES': 'ES',   // E-mini S&P 500
-  'MES': 'M0',  // MSCI Emerging Markets
-  'JY': 'J6',   // Japanese Yen
-  'MFS': 'DI',  // MSCI EAFE
-  'EC': 'E6',   // Euro
-  'GC': 'GC',   // Gold
-  'US': 'ZB',   // 30-Year Treasury Bond
-  'TY': 'ZN',   // 10-Year Treasury Note
-  'TU': 'TU',   // 2-Year Treasury Note
-};
+// The cron schedule (in wrangler.toml) that stores the daily snapshot and does nothing else. Every
+// other schedule only checks the alert rules.
+// The snapshot has to be taken in the CME break (17:00-18:00 New York time), after the day's
+// settlement and before the next session's prices replace it. That hour is 21:00 UTC in summer and
+// 22:00 UTC in winter, so the schedule fires in both and only the run inside the break records.
+const SNAPSHOT_CRON = '15 21,22 * * 1-5';
 
 export default {
   async fetch(request, env, ctx) {
+    const url = new URL(request.url);
+    let fund = DEFAULT_FUND;
+
     try {
-      // Fetch the Excel file
-      const response = await fetch(EXCEL_URL);
-      
-      if (!response.ok) {
-        return new Response(`Failed to fetch Excel file: ${response.status} ${response.statusText}`, {
-          status: 500,
-          headers: { 'Content-Type': 'text/plain' }
-        });
-      }
+      const funds = await loadFundRegistry(env);
 
-      // Get the file as ArrayBuffer
-      const arrayBuffer = await response.arrayBuffer();
-      
-      // Parse the Excel file
-      const workbook = XLSX.read(arrayBuffer, { type: 'array' });
-      
-      // Get the first sheet
-      const firstSheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[firstSheetName];
-      
-      // Based on the actual file structure:
-      // Row 0: Title
-      // Row 1: Empty
-      // Row 2-3: Fund info (NAV, SHARES_OUTSTANDING, etc.)
-      // Row 4: Empty
-      // Row 5: Table headers (DATE, CUSIP, TICKER, DESCRIPTION, SHARES, BASE_MV, PCT_HOLDINGS)
-      // Row 6+: Holdings data
-      
-      // Parse starting from row 5 (0-indexed)
-      const jsonData = XLSX.utils.sheet_to_json(worksheet, { range: 5 });
-      
-      // Filter to only include rows with a ticker (TICKER column is not empty)
-      const filteredData = jsonData.filter(row => {
-        const ticker = row['TICKER'];
-        return ticker && String(ticker).trim() !== '';
-      });
-      
-      // Fetch prices for all tickers
-      const tickers = filteredData.map(row => row['TICKER']);
-      const prices = await fetchTickerPrices(tickers);
-      
-      // Calculate contributions and prepare data for sorting
-      const dataWithContributions = filteredData.map((row, index) => {
-        const holdingsPct = row['PCT_HOLDINGS'];
-        const dailyChangeStr = prices[row['TICKER']];
-        let dailyChangePct = 0;
-        let contribution = 0;
-        
-        // Extract numeric value from daily change string
-        if (dailyChangeStr && dailyChangeStr !== 'N/A') {
-          dailyChangePct = parseFloat(dailyChangeStr.replace('%', '')) / 100; // Convert to decimal
-          contribution = holdingsPct * dailyChangePct; // Both are decimals now
-        }
-        
-        return {
-          original: row,
-          dailyChangeStr: dailyChangeStr,
-          dailyChangePct: dailyChangePct,
-          contribution: contribution
-        };
-      });
-      
-      // Sort by contribution (descending - highest positive contributions first)
-      dataWithContributions.sort((a, b) => b.contribution - a.contribution);
-      
-      // Format the data for display
-      const formattedData = dataWithContributions.map(item => {
-        const row = item.original;
-        return {
-          'Date': formatDate(row['DATE']),
-          'CUSIP': row['CUSIP'] || '',
-          'Ticker': row['TICKER'] || '',
-          'Description': row['DESCRIPTION'] || '',
-          'Holdings %': formatPercent(row['PCT_HOLDINGS']),
-          'Daily Change': item.dailyChangeStr || 'N/A',
-          'Contribution': item.dailyChangeStr !== 'N/A' ? formatChangePercent(item.contribution * 100) : 'N/A'
-        };
-      });
-      
-      // Calculate total contribution
-      const totalContribution = dataWithContributions.reduce((sum, item) => sum + item.contribution, 0);
-      
-      // Build HTML table manually with color coding
-      const htmlTable = buildColorCodedTable(formattedData, dataWithContributions, totalContribution);
-      
-      // Function to fetch ticker prices from Yahoo Finance
-      async function fetchTickerPrices(tickers) {
-        const prices = {};
-        
-        // Fetch prices in parallel with a limit to avoid overwhelming the API
-        const batchSize = 10;
-        for (let i = 0; i < tickers.length; i += batchSize) {
-          const batch = tickers.slice(i, i + batchSize);
-          const batchPromises = batch.map(ticker => fetchSinglePrice(ticker));
-          const batchResults = await Promise.all(batchPromises);
-          
-          batch.forEach((ticker, index) => {
-            prices[ticker] = batchResults[index];
-          });
-        }
-        
-        return prices;
-      }
-      
-      // Fetch price from Barchart HTML page
-      async function fetchBarchartPrice(root) {
-        try {
-          // Fetch the HTML page which has embedded JSON data
-          const url = `https://www.barchart.com/futures/quotes/${root}*0/futures-prices`;
-          const response = await fetch(url, {
-            headers: {
-              'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
-              'Accept': 'text/html'
-            }
-          });
-          
-          if (!response.ok) {
-            console.error(`Barchart HTTP ${response.status} for root ${root}`);
-            return 'N/A';
-          }
-          
-          const html = await response.text();
-          
-          // Extract percentChange from embedded JSON in the HTML
-          // Pattern matches: "percentChange":"-0.54%" or "percentChange":"1.23%" or "unch"
-          const match = html.match(/"percentChange":"([^"]+)"/);
-          
-          if (match && match[1]) {
-            const percentStr = match[1];
-            // Handle "unch" (unchanged) as 0%
-            if (percentStr.toLowerCase() === 'unch') {
-              return formatChangePercent(0);
-            }
-            // Parse the percentage string (e.g., "-0.54%" -> -0.54)
-            const percentValue = parseFloat(percentStr.replace('%', ''));
-            if (!isNaN(percentValue)) {
-              return formatChangePercent(percentValue);
-            }
-          }
-          
-          return 'N/A';
-        } catch (error) {
-          console.error(`Error fetching Barchart price for root ${root}:`, error);
-          return 'N/A';
-        }
-      }
-      
-      async function fetchSinglePrice(ticker) {
-        try {
-          // Extract commodity prefix from ticker (e.g., CLZ5 -> CL, MFSZ5 -> MFS)
-          const match = ticker.match(/^([A-Z]+?)([A-Z]\d+)$/);
-          const commodityPrefix = match ? match[1] : ticker.match(/^([A-Z]+)/)?.[1] || ticker;
-          
-          // Look up Barchart root symbol from mapping
-          const barchartRoot = BARCHART_SYMBOL_MAP[commodityPrefix];
-          
-          if (barchartRoot) {
-            return await fetchBarchartPrice(barchartRoot);
-          }
-          
-          // Fallback: try the original prefix directly on Barchart
-          console.warn(`Unknown symbol prefix: ${commodityPrefix}, trying directly on Barchart`);
-          return await fetchBarchartPrice(commodityPrefix);
-        } catch (error) {
-          console.error(`Error fetching price for ${ticker}:`, error);
-          return 'N/A';
-        }
-      }
-      
-      // Helper functions for formatting
-      function formatDate(dateNum) {
-        if (!dateNum) return '';
-        const dateStr = String(dateNum);
-        // Format: YYYYMMDD -> YYYY-MM-DD
-        if (dateStr.length === 8) {
-          return `${dateStr.slice(0,4)}-${dateStr.slice(4,6)}-${dateStr.slice(6,8)}`;
-        }
-        return dateStr;
-      }
-      
-      function formatNumber(num) {
-        if (num === null || num === undefined || num === '') return '';
-        return new Intl.NumberFormat('en-US').format(num);
-      }
-      
-      function formatCurrency(num) {
-        if (num === null || num === undefined || num === '') return '';
-        return new Intl.NumberFormat('en-US', {
-          style: 'currency',
-          currency: 'USD',
-          minimumFractionDigits: 0,
-          maximumFractionDigits: 0
-        }).format(num);
-      }
-      
-      function formatPercent(num) {
-        if (num === null || num === undefined || num === '') return '';
-        return new Intl.NumberFormat('en-US', {
-          style: 'percent',
-          minimumFractionDigits: 2,
-          maximumFractionDigits: 2
-        }).format(num);
+      if (url.pathname === '/funds') {
+        return await handleFundsPage(funds, env, ctx);
       }
-      
-      function formatChangePercent(num) {
-        if (num === null || num === undefined || num === '') return '';
-        const formatted = new Intl.NumberFormat('en-US', {
-          minimumFractionDigits: 2,
-          maximumFractionDigits: 2,
-          signDisplay: 'always'
-        }).format(num);
-        return formatted + '%';
+
+      // /fund/:id/... serves the same pages for another fund in the registry; the unprefixed
+      // routes serve the default fund
+      const match = url.pathname.match(/^\/fund\/([^/]+)(\/.*)?$/);
+      if (match && !funds[match[1]]) {
+        return textResponse(`Unknown fund: ${match[1]}`, 404);
       }
-      
-      function buildColorCodedTable(formattedRows, dataRows, totalContribution) {
-        if (formattedRows.length === 0) {
-          return '<p>No holdings with tickers found.</p>';
-        }
-        
-        // Get column headers from the first row
-        const headers = Object.keys(formattedRows[0]);
-        
-        // Build table HTML
-        let html = '<table id="holdings-table">\n';
-        html += '<thead><tr>\n';
-        
-        // Add headers
-        headers.forEach(header => {
-          html += `<th>${header}</th>\n`;
-        });
-        
-        html += '</tr></thead>\n<tbody>\n';
-        
-        // Add data rows
-        formattedRows.forEach((row, index) => {
-          const originalPercent = dataRows[index].original['PCT_HOLDINGS'];
-          const rowClass = originalPercent > 0 ? 'positive-holding' : 
-                          originalPercent < 0 ? 'negative-holding' : '';
-          
-          html += `<tr${rowClass ? ` class="${rowClass}"` : ''}>\n`;
-          
-          headers.forEach((header, colIndex) => {
-            // Add special class for Daily Change and Contribution columns to color them
-            let tdClass = '';
-            const cellValue = row[header];
-            
-            if ((header === 'Daily Change' || header === 'Contribution') && cellValue && cellValue !== 'N/A') {
-              const numericValue = parseFloat(cellValue.replace('%', ''));
-              if (numericValue > 0) {
-                tdClass = ' class="positive-change"';
-              } else if (numericValue < 0) {
-                tdClass = ' class="negative-change"';
-              }
-            }
-            html += `<td${tdClass}>${cellValue}</td>\n`;
-          });
-          
-          html += '</tr>\n';
-        });
-        
-        // Add total row
-        html += '<tr class="total-row">\n';
-        headers.forEach((header, index) => {
-          if (header === 'Contribution') {
-            const totalClass = totalContribution > 0 ? 'positive-change' : 
-                              totalContribution < 0 ? 'negative-change' : '';
-            html += `<td class="${totalClass}">${formatChangePercent(totalContribution * 100)}</td>\n`;
-          } else if (index === 0) {
-            html += `<td><strong>TOTAL</strong></td>\n`;
-          } else {
-            html += `<td></td>\n`;
-          }
-        });
-        html += '</tr>\n';
-        
-        html += '</tbody>\n</table>';
-        
-        return html;
+      fund = funds[match ? match[1] : DEFAULT_FUND_ID];
+      const path = match ? match[2] || '/' : url.pathname;
+
+      switch (path) {
+        case '/':
+          return await handleHoldingsPage(fund, url, env, ctx);
+        case '/api/holdings':
+          return await handleHoldingsApi(fund, url, env, ctx);
+        case '/api/quotes':
+          return await handleQuotesApi(fund, env, ctx);
+        case '/history':
+          return await handleHistory(fund, url, env);
+        case '/diff':
+          return await handleDiff(fund, url, env);
+        case '/export.csv':
+          return await handleExport(fund, env, ctx, 'csv');
+        case '/export.xlsx':
+          return await handleExport(fund, env, ctx, 'xlsx');
+        case '/fidelity':
+          return await handleFidelity(fund, url, env);
+        case '/charts':
+          return await handleCharts(fund, url, env);
+        case '/embed':
+          return await handleEmbed(fund, url, env, ctx);
+        case '/og.png':
+          return await handleShareImage(fund, env, ctx, 'png');
+        case '/og.svg':
+          return await handleShareImage(fund, env, ctx, 'svg');
+        case '/admin/symbols':
+          return await handleSymbolsAdmin(fund, env, ctx);
+        case '/health':
+          return await handleHealth(fund, env);
+        default:
+          return textResponse('Not found', 404);
       }
-      
-      // Create a complete HTML page with styling
-      const html = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>DBMF Holdings</title>
-    <style>
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-        }
-        
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            min-height: 100vh;
-            padding: 20px;
-        }
-        
-        .container {
-            max-width: 1400px;
-            margin: 0 auto;
-            background: white;
-            border-radius: 12px;
-            box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
-            overflow: hidden;
-        }
-        
-        .header {
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
-            padding: 30px;
-            text-align: center;
-        }
-        
-        .header h1 {
-            font-size: 2.5em;
-            margin-bottom: 10px;
-            font-weight: 700;
-        }
-        
-        .header p {
-            font-size: 1.1em;
-            opacity: 0.9;
-        }
-        
-        .table-container {
-            overflow-x: auto;
-            padding: 30px;
-        }
-        
-        #holdings-table {
-            width: 100%;
-            border-collapse: collapse;
-            font-size: 14px;
-        }
-        
-        #holdings-table th {
-            background: #667eea;
-            color: white;
-            padding: 15px;
-            text-align: left;
-            font-weight: 600;
-            position: sticky;
-            top: 0;
-            z-index: 10;
-            text-transform: uppercase;
-            font-size: 12px;
-            letter-spacing: 0.5px;
-        }
-        
-        #holdings-table td {
-            padding: 12px 15px;
-            border-bottom: 1px solid #e0e0e0;
-        }
-        
-        /* Right-align numeric columns */
-        #holdings-table td:nth-child(5),  /* Holdings % */
-        #holdings-table td:nth-child(6),  /* Daily Change */
-        #holdings-table td:nth-child(7) { /* Contribution */
-            text-align: right;
-            font-family: 'SF Mono', Monaco, 'Cascadia Code', 'Roboto Mono', Consolas, 'Courier New', monospace;
-        }
-        
-        /* Right-align headers for numeric columns */
-        #holdings-table th:nth-child(5),
-        #holdings-table th:nth-child(6),
-        #holdings-table th:nth-child(7) {
-            text-align: right;
-        }
-        
-        /* Color coding for Holdings % column */
-        .positive-holding td:nth-child(5) {
-            background: linear-gradient(135deg, #e8f5e9 0%, #c8e6c9 100%);
-            color: #2e7d32;
-            font-weight: 600;
-            box-shadow: inset 0 0 0 1px rgba(76, 175, 80, 0.2);
-        }
-        
-        .negative-holding td:nth-child(5) {
-            background: linear-gradient(135deg, #ffebee 0%, #ffcdd2 100%);
-            color: #c62828;
-            font-weight: 600;
-            box-shadow: inset 0 0 0 1px rgba(244, 67, 54, 0.2);
-        }
-        
-        /* Color coding for Daily Change column */
-        .positive-change {
-            background: linear-gradient(135deg, #e8f5e9 0%, #c8e6c9 100%);
-            color: #2e7d32;
-            font-weight: 600;
-            box-shadow: inset 0 0 0 1px rgba(76, 175, 80, 0.2);
-        }
-        
-        .negative-change {
-            background: linear-gradient(135deg, #ffebee 0%, #ffcdd2 100%);
-            color: #c62828;
-            font-weight: 600;
-            box-shadow: inset 0 0 0 1px rgba(244, 67, 54, 0.2);
-        }
-        
-        #holdings-table tr:hover {
-            background-color: #f5f5f5;
-            transition: background-color 0.2s ease;
-        }
-        
-        .positive-holding:hover td:nth-child(5) {
-            background: linear-gradient(135deg, #c8e6c9 0%, #a5d6a7 100%);
-            box-shadow: inset 0 0 0 1px rgba(76, 175, 80, 0.3);
-        }
-        
-        .negative-holding:hover td:nth-child(5) {
-            background: linear-gradient(135deg, #ffcdd2 0%, #ef9a9a 100%);
-            box-shadow: inset 0 0 0 1px rgba(244, 67, 54, 0.3);
-        }
-        
-        #holdings-table tr:hover .positive-change {
-            background: linear-gradient(135deg, #c8e6c9 0%, #a5d6a7 100%);
-            box-shadow: inset 0 0 0 1px rgba(76, 175, 80, 0.3);
-        }
-        
-        #holdings-table tr:hover .negative-change {
-            background: linear-gradient(135deg, #ffcdd2 0%, #ef9a9a 100%);
-            box-shadow: inset 0 0 0 1px rgba(244, 67, 54, 0.3);
-        }
-        
-        #holdings-table tr:nth-child(even) {
-            background-color: #fafafa;
-        }
-        
-        /* Total row styling */
-        .total-row {
-            background: linear-gradient(135deg, #e3f2fd 0%, #bbdefb 100%);
-            font-weight: 700;
-            border-top: 3px solid #667eea;
-        }
-        
-        .total-row td {
-            padding: 15px;
-            font-size: 1.1em;
-        }
-        
-        .total-row:hover {
-            background: linear-gradient(135deg, #bbdefb 0%, #90caf9 100%);
-        }
-        
-        #holdings-table tr:nth-child(even):hover {
-            background-color: #f5f5f5;
-        }
-        
-        .footer {
-            background: #f8f9fa;
-            padding: 20px 30px;
-            text-align: center;
-            color: #666;
-            font-size: 14px;
-            border-top: 1px solid #e0e0e0;
-        }
-        
-        .footer a {
-            color: #667eea;
-            text-decoration: none;
-            font-weight: 600;
-        }
-        
-        .footer a:hover {
-            text-decoration: underline;
-        }
-        
-        .timestamp {
-            margin-top: 10px;
-            font-size: 12px;
-            opacity: 0.8;
-        }
-        
-        @media (max-width: 768px) {
-            body {
-                padding: 5px;
-            }
-            
-            .container {
-                border-radius: 8px;
-            }
-            
-            .header {
-                padding: 10px;
-            }
-            
-            .header h1 {
-                font-size: 1.1em;
-            }
-            
-            .header p {
-                font-size: 0.7em;
-            }
-            
-            .table-container {
-                padding: 3px;
-                overflow-x: auto;
-            }
-            
-            #holdings-table {
-                font-size: 7px;
-            }
-            
-            #holdings-table th,
-            #holdings-table td {
-                padding: 2px 2px;
-                white-space: nowrap;
-            }
-            
-            /* Consistent header sizing - all at 6px */
-            #holdings-table th {
-                font-size: 6px;
-                padding: 3px 2px;
-            }
-            
-            /* Make Date and CUSIP columns smaller */
-            #holdings-table td:nth-child(1),
-            #holdings-table td:nth-child(2) {
-                font-size: 6px;
-            }
-            
-            /* Make ticker column slightly larger for readability */
-            #holdings-table td:nth-child(3) {
-                font-size: 7px;
-                font-weight: 600;
-            }
-            
-            /* Make description column wrappable and limit width */
-            #holdings-table td:nth-child(4) {
-                max-width: 60px;
-                white-space: normal;
-                font-size: 6px;
-                line-height: 1.1;
-            }
-            
-            .footer {
-                padding: 8px;
-                font-size: 9px;
-            }
-            
-            .footer .timestamp {
-                font-size: 7px;
-            }
-            
-            .total-row td {
-                padding: 3px 2px;
-                font-size: 0.95em;
-            }
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>📊 DBMF Holdings</h1>
-        </div>
-        <div class="table-container">
-            ${htmlTable}
-        </div>
-        <div class="footer">
-            <p>Data source: <a href="${EXCEL_URL}" target="_blank">DBMF-Holdings.xlsx</a></p>
-            <p class="timestamp">Last updated: ${new Date().toUTCString()}</p>
-        </div>
-    </div>
-</body>
-</html>
-      `.trim();
-      
-      return new Response(html, {
-        headers: {
-          'Content-Type': 'text/html;charset=UTF-8',
-          'Cache-Control': 'public, max-age=300', // Cache for 5 minutes
-        }
-      });
-      
     } catch (error) {
       console.error('Error:', error);
-      return new Response(`Error processing Excel file: ${error.message}`, {
-        status: 500,
-        headers: { 'Content-Type': 'text/plain' }
-      });
+      return errorResponse(error, url, fund);
+    }
+  },
+
+  // Cron triggers: store each fund's parsed holdings so they can be viewed later under /history,
+  // and post alerts for repositioning or large estimated moves
+  async scheduled(controller, env, ctx) {
+    if (controller.cron === SNAPSHOT_CRON && !isDailyBreak(new Date(controller.scheduledTime))) {
+      console.log('Outside the CME daily break, skipping this snapshot run');
+      return;
     }
+
+    const funds = Object.values(await loadFundRegistry(env));
+
+    // One fund's unreachable file shouldn't stop the others
+    const runForFund = async fund => {
+      try {
+        // The schedules never run alerts together: two overlapping runs could both miss the other's
+        // "sent" marker in KV and post the same event twice
+        if (controller.cron === SNAPSHOT_CRON) {
+          await recordSnapshot(fund, env, ctx);
+        } else {
+          await checkAlerts(fund, env, ctx);
+        }
+      } catch (error) {
+        console.error(`Error in scheduled run for ${fund.name}:`, error);
+      }
+    };
+
+    ctx.waitUntil(Promise.all(funds.map(runForFund)));
   }
 };
 
+async function recordSnapshot(fund, env, ctx) {
+  if (!env.HOLDINGS_HISTORY) {
+    console.warn('HOLDINGS_HISTORY KV namespace is not bound, skipping snapshot');
+    return;
+  }
+
+  // Bypass the caches so the snapshot reflects the file and quotes as of the cron run
+  const snapshot = serializeHoldings(await loadHoldings(fund, env, ctx, { bypass: true }));
+  await saveSnapshot(env.HOLDINGS_HISTORY, snapshot, fund.id);
+  console.log(`Stored ${fund.name} holdings snapshot for ${snapshot.holdingsDate}`);
+
+  await recordSettlements(fund, snapshot, env);
+}
+
+// Store today's prices of the held contracts as the day's settlements, for ?asOf. Only prices of
+// the held contract month that were fetched today count: a front-month stand-in or a quote carried
+// over from an earlier run would give a wrong return. So do only markets that had closed when the
+// quote was taken: ICE US index futures (MES, MFS) still trade at 17:15 New York time.
+async function recordSettlements(fund, snapshot, env) {
+  const date = exchangeDate();
+  const prices = {};
+  const unpriced = [];
+  const trading = [];
+
+  snapshot.holdings.forEach(holding => {
+    if (!holding.exactContract || !holding.quoteFetchedAt || exchangeDate(new Date(holding.quoteFetchedAt)) !== date) {
+      return;
+    }
+    if (holding.marketOpen !== false) {
+      trading.push(holding['TICKER']);
+      return;
+    }
+    if (holding.quotePrice === null || holding.quotePrice === undefined) {
+      unpriced.push(holding['TICKER']);
+      return;
+    }
+    prices[holding['TICKER']] = holding.quotePrice;
+  });
+
+  // These contracts show N/A under ?asOf for that day
+  if (unpriced.length > 0 || trading.length > 0) {
+    const reasons = [
+      unpriced.length > 0 ? `no readable price for ${unpriced.join(', ')}` : '',
+      trading.length > 0 ? `market not closed yet for ${trading.join(', ')}` : ''
+    ].filter(Boolean);
+    console.warn(`No ${date} settlement recorded for some ${fund.name} contracts: ${reasons.join('; ')}`);
+  }
+
+  if (Object.keys(prices).length === 0) {
+    console.warn(`No ${fund.name} contract prices to record as settlements for ${date}`);
+    return;
+  }
+
+  await saveSettlements(env.HOLDINGS_HISTORY, date, prices, fund.id);
+  console.log(`Stored ${Object.keys(prices).length} ${fund.name} settlement prices for ${date}`);
+}
+
+// Compare the current holdings with the latest snapshot stored for an earlier date, and post
+// whatever alert rules match (and haven't been posted before) to ALERT_WEBHOOKS
+async function checkAlerts(fund, env, ctx) {
+  const webhooks = loadWebhooks(env);
+
+  if (webhooks.length === 0) {
+    return;
+  }
+  if (!env.HOLDINGS_HISTORY) {
+    console.warn('HOLDINGS_HISTORY KV namespace is not bound, skipping alerts');
+    return;
+  }
+
+  const current = serializeHoldings(await loadHoldings(fund, env, ctx));
+  const previousDate = (await listSnapshotDates(env.HOLDINGS_HISTORY, fund.id)).filter(date => date < current.holdingsDate).pop();
+  const previous = previousDate ? await loadSnapshot(env.HOLDINGS_HISTORY, previousDate, fund.id) : null;
+
+  const events = evaluateAlertRules(loadAlertRules(env), current, previous, fund);
+  const sent = await sendAlerts(env.HOLDINGS_HISTORY, webhooks, events);
+
+  if (sent.length > 0) {
+    console.log(`Posted ${sent.length} ${fund.name} alert(s) for ${current.holdingsDate}`);
+  }
+}
+
+// Render the holdings as a color-coded HTML page
+async function handleHoldingsPage(fund, url, env, ctx) {
+  const asOf = url.searchParams.get('asOf');
+
+  if (asOf) {
+    const holdings = await loadSettlementHoldings(fund, asOf, env);
+    const { previousDate, holdingsDate } = holdings.settlement;
+    return renderHoldingsResponse(fund, holdings,
+      `Settlement returns for ${asOf} (${previousDate || 'no earlier settlements'} → ${asOf}) on the holdings of ${holdingsDate}`);
+  }
+
+  const holdings = await loadHoldings(fund, env, ctx);
+  return renderHoldingsResponse(fund, holdings, '', {
+    live: true,
+    pollSeconds: quotesCacheTtl(env),
+    head: openGraphTags(fund, summarizeDailyMove(holdings), url.origin)
+  });
+}
+
+// Compact summary card for embedding in other pages with an iframe
+async function handleEmbed(fund, url, env, ctx) {
+  const summary = summarizeDailyMove(await loadHoldings(fund, env, ctx));
+
+  return new Response(renderSummaryCard(fund, summary, `${url.origin}${fund.basePath}/`), {
+    headers: {
+      'Content-Type': 'text/html;charset=UTF-8',
+      'Cache-Control': 'public, max-age=300',
+      // Allow framing from any site
+      'Content-Security-Policy': 'frame-ancestors *'
+    }
+  });
+}
+
+// The same summary as an image: PNG for the holdings page's og:image tag, or SVG
+async function handleShareImage(fund, env, ctx, format) {
+  const summary = summarizeDailyMove(await loadHoldings(fund, env, ctx));
+  const body = format === 'png' ? await renderSummaryPng(fund, summary) : renderSummarySvg(fund, summary);
+
+  return new Response(body, {
+    headers: {
+      'Content-Type': format === 'png' ? 'image/png' : 'image/svg+xml;charset=UTF-8',
+      'Cache-Control': 'public, max-age=300'
+    }
+  });
+}
+
+// One row per fund in the registry with its latest holdings date, size and estimated daily move
+async function handleFundsPage(funds, env, ctx) {
+  const rows = await Promise.all(Object.values(funds).map(async fund => {
+    try {
+      return { fund, holdings: await loadHoldings(fund, env, ctx) };
+    } catch (error) {
+      console.error(`Error loading ${fund.name} holdings:`, error);
+      return { fund, error };
+    }
+  }));
+
+  let html = '<table>\n<thead>\n<tr>';
+  ['Fund', 'Name', 'Holdings Date', 'Positions', 'Gross Exposure', 'Est. Daily Move'].forEach(header => {
+    html += `<th>${header}</th>`;
+  });
+  html += '</tr>\n</thead>\n<tbody>\n';
+
+  rows.forEach(({ fund, holdings, error }) => {
+    html += '<tr>\n';
+    html += `<td><a href="${fund.basePath || '/'}">${escapeHtml(fund.name)}</a></td>\n`;
+    html += `<td>${escapeHtml(fund.title)}</td>\n`;
+
+    if (error) {
+      html += `<td colspan="4" class="negative">${escapeHtml(error.message)}</td>\n`;
+    } else {
+      const className = holdings.totalContribution > 0 ? 'positive' : holdings.totalContribution < 0 ? 'negative' : '';
+      html += `<td>${holdings.holdingsDate || ''}</td>\n`;
+      html += `<td>${holdings.dataWithContributions.length}</td>\n`;
+      html += `<td>${formatPercent(holdings.leverage.futuresGross)}</td>\n`;
+      html += `<td class="${className}">${formatChangePercent(holdings.totalContribution * 100)}</td>\n`;
+    }
+    html += '</tr>\n';
+  });
+
+  html += '</tbody>\n</table>\n';
+
+  return new Response(renderPage(html, { fund: null, subtitle: `${rows.length} fund${rows.length === 1 ? '' : 's'}` }), {
+    headers: {
+      'Content-Type': 'text/html;charset=UTF-8',
+      'Cache-Control': 'public, max-age=300'
+    }
+  });
+}
+
+// Render a stored snapshot (/history?date=YYYY-MM-DD), or list the stored dates when no date is given
+async function handleHistory(fund, url, env) {
+  if (!env.HOLDINGS_HISTORY) {
+    return historyNotConfigured();
+  }
+
+  const date = url.searchParams.get('date');
+
+  if (!date) {
+    const dates = await listSnapshotDates(env.HOLDINGS_HISTORY, fund.id);
+    const list = dates.length === 0
+      ? '<p>No snapshots stored yet.</p>'
+      : '<ul class="snapshot-list">\n' + dates.reverse().map(d => `<li><a href="${fund.basePath}/history?date=${d}">${d}</a></li>`).join('\n') + '\n</ul>';
+
+    return new Response(renderPage(list, { fund, subtitle: 'Stored snapshots' }), {
+      headers: { 'Content-Type': 'text/html;charset=UTF-8' }
+    });
+  }
+
+  if (!ISO_DATE_PATTERN.test(date)) {
+    return textResponse('Invalid date, expected YYYY-MM-DD', 400);
+  }
+
+  const snapshot = await loadSnapshot(env.HOLDINGS_HISTORY, date, fund.id);
+
+  if (!snapshot) {
+    return textResponse(`No snapshot stored for ${date}`, 404);
+  }
+
+  return renderHoldingsResponse(fund, deserializeHoldings(snapshot), `Snapshot of ${date} (quotes from ${new Date(snapshot.quotesFetchedAt).toUTCString()})`);
+}
+
+// Compare two stored snapshots (/diff?from=YYYY-MM-DD&to=YYYY-MM-DD), defaulting to the latest two
+async function handleDiff(fund, url, env) {
+  if (!env.HOLDINGS_HISTORY) {
+    return historyNotConfigured();
+  }
+
+  const dates = await listSnapshotDates(env.HOLDINGS_HISTORY, fund.id);
+  const to = url.searchParams.get('to') || dates[dates.length - 1];
+  const from = url.searchParams.get('from') || dates.filter(date => date < to).pop();
+
+  if (!from || !to) {
+    return textResponse('At least two stored snapshots are needed to compare positions', 404);
+  }
+  if (!ISO_DATE_PATTERN.test(from) || !ISO_DATE_PATTERN.test(to)) {
+    return textResponse('Invalid date, expected YYYY-MM-DD', 400);
+  }
+
+  const [fromSnapshot, toSnapshot] = await Promise.all([
+    loadSnapshot(env.HOLDINGS_HISTORY, from, fund.id),
+    loadSnapshot(env.HOLDINGS_HISTORY, to, fund.id)
+  ]);
+
+  if (!fromSnapshot || !toSnapshot) {
+    return textResponse(`No snapshot stored for ${!fromSnapshot ? from : to}`, 404);
+  }
+
+  const changes = diffHoldings(fromSnapshot.holdings, toSnapshot.holdings);
+  const content = buildDiffForm(fund, dates, from, to) + buildDiffTable(changes);
+
+  return new Response(renderPage(content, { fund, subtitle: `Position changes ${from} → ${to}` }), {
+    headers: { 'Content-Type': 'text/html;charset=UTF-8' }
+  });
+}
+
+// Estimated vs. realized daily returns over the last ?days=N stored days (default 30)
+async function handleFidelity(fund, url, env) {
+  if (!env.HOLDINGS_HISTORY) {
+    return historyNotConfigured();
+  }
+
+  const days = Math.max(1, parseInt(url.searchParams.get('days'), 10) || 30);
+  const summaries = await listSnapshotSummaries(env.HOLDINGS_HISTORY, fund.id);
+  const fidelity = computeFidelity(summaries.slice(-(days + 1)));
+
+  if (fidelity.count === 0) {
+    return new Response(renderPage('<p>Not enough consecutive snapshots with a NAV to compare yet.</p>', { fund, subtitle: 'Replication fidelity' }), {
+      headers: { 'Content-Type': 'text/html;charset=UTF-8' }
+    });
+  }
+
+  const stats = [
+    ['Days Compared', String(fidelity.count)],
+    ['Tracking Error (daily)', formatPercent(fidelity.trackingError)],
+    ['Tracking Error (annualized)', formatPercent(fidelity.annualizedTrackingError)],
+    ['Mean Error', formatChangePercent(fidelity.meanError * 100)],
+    ['Hit Rate', formatPercent(fidelity.hitRate)]
+  ];
+  const changeClass = value => value > 0 ? ' class="positive-change"' : value < 0 ? ' class="negative-change"' : '';
+
+  let html = '<div class="stat-grid">\n';
+  stats.forEach(([label, value]) => {
+    html += `<div class="stat"><span class="stat-label">${label}</span><span class="stat-value">${value}</span></div>\n`;
+  });
+  html += '</div>\n';
+
+  html += '<table id="fidelity-table" class="data-table">\n';
+  html += '<thead><tr><th>Holdings Date</th><th>NAV Date</th><th>Estimated</th><th>Realized</th><th>Difference</th></tr></thead>\n<tbody>\n';
+  [...fidelity.rows].reverse().forEach(row => {
+    html += '<tr>\n';
+    html += `<td><a href="${fund.basePath}/history?date=${row.from}">${row.from}</a></td>\n`;
+    html += `<td>${row.to}</td>\n`;
+    html += `<td${changeClass(row.estimated)}>${formatChangePercent(row.estimated * 100)}</td>\n`;
+    html += `<td${changeClass(row.realized)}>${formatChangePercent(row.realized * 100)}</td>\n`;
+    html += `<td>${formatChangePercent(row.difference * 100)}</td>\n`;
+    html += '</tr>\n';
+  });
+  html += '</tbody>\n</table>';
+
+  return new Response(renderPage(html, { fund, subtitle: `Estimated vs. realized NAV change, last ${fidelity.count} days` }), {
+    headers: { 'Content-Type': 'text/html;charset=UTF-8' }
+  });
+}
+
+// Date-range presets for /charts, in calendar days back from the latest snapshot (null = everything)
+const CHART_RANGES = [['1M', 31], ['3M', 92], ['6M', 183], ['1Y', 366], ['All', null]];
+const DEFAULT_CHART_DAYS = 92;
+
+// Cumulative estimated return, net weight per asset class, and one root's position history,
+// drawn from the stored snapshots between ?from and ?to (default: the last three months).
+// ?root picks the position history (default: the largest position in the latest snapshot).
+async function handleCharts(fund, url, env) {
+  if (!env.HOLDINGS_HISTORY) {
+    return historyNotConfigured();
+  }
+
+  // The weights come from the key metadata, so a long range doesn't read every snapshot
+  const summaries = await listSnapshotSummaries(env.HOLDINGS_HISTORY, fund.id, { weights: true });
+
+  if (summaries.length === 0) {
+    return new Response(renderPage('<p>No snapshots stored yet.</p>', { fund, subtitle: 'Charts' }), {
+      headers: { 'Content-Type': 'text/html;charset=UTF-8' }
+    });
+  }
+
+  const latest = summaries[summaries.length - 1].date;
+  const to = url.searchParams.get('to') || latest;
+  if (!isIsoDate(to)) {
+    return textResponse('Invalid date, expected YYYY-MM-DD', 400);
+  }
+
+  // from defaults relative to to, so to has to be a real date first
+  const from = url.searchParams.get('from') || shiftIsoDate(to, -DEFAULT_CHART_DAYS);
+  if (!isIsoDate(from)) {
+    return textResponse('Invalid date, expected YYYY-MM-DD', 400);
+  }
+
+  const inRange = summaries.filter(summary => summary.date >= from && summary.date <= to);
+
+  // Compound the estimated daily returns
+  let growth = 1;
+  const cumulative = inRange.map(summary => {
+    growth *= 1 + (Number(summary.totalContribution) || 0);
+    return { date: summary.date, value: growth - 1 };
+  });
+
+  // Net weight per asset class and per root, one entry per snapshot
+  const classWeights = new Map();
+  const rootWeights = new Map();
+  inRange.forEach(({ date, weights }) => {
+    Object.entries(weights.classes).forEach(([assetClass, net]) => {
+      if (!classWeights.has(assetClass)) classWeights.set(assetClass, { label: ASSET_CLASSES[assetClass] || 'Other', points: [] });
+      classWeights.get(assetClass).points.push({ date, value: net });
+    });
+
+    Object.entries(weights.roots).forEach(([root, weight]) => {
+      if (!rootWeights.has(root)) rootWeights.set(root, new Map());
+      rootWeights.get(root).set(date, weight);
+    });
+  });
+
+  const roots = [...rootWeights.keys()].sort();
+  const lastDay = inRange[inRange.length - 1];
+  const largestRoot = lastDay
+    ? [...rootWeights.entries()].sort((a, b) => Math.abs(b[1].get(lastDay.date) || 0) - Math.abs(a[1].get(lastDay.date) || 0))[0]?.[0]
+    : undefined;
+  const root = (url.searchParams.get('root') || largestRoot || '').toUpperCase();
+
+  // Days without the root count as flat, so the history shows when a position was opened or closed
+  const rootHistory = inRange.map(({ date }) => ({
+    date,
+    value: rootWeights.get(root)?.get(date) || 0
+  }));
+
+  let html = buildChartRangeForm(fund, from, to, summaries[0].date, latest, root);
+
+  html += '<h2 class="section-title">Cumulative Estimated Return</h2>\n';
+  html += lineChart([{ label: 'Estimated return', color: SERIES_COLORS[0], points: cumulative }], {
+    formatValue: value => formatChangePercent(value * 100),
+    title: 'Cumulative estimated return'
+  });
+
+  html += '<h2 class="section-title">Net Weight by Asset Class</h2>\n';
+  html += lineChart([...classWeights.values()].map((series, index) => ({ ...series, color: SERIES_COLORS[index % SERIES_COLORS.length] })), {
+    formatValue: formatPercent,
+    title: 'Net weight by asset class'
+  });
+
+  html += '<h2 class="section-title">Position History</h2>\n';
+  html += buildRootSelector(fund, roots, root, from, to);
+  if (rootHistory.length > 0) {
+    html += `<p class="table-note">${describePositionStreak(root, rootHistory)}</p>\n`;
+  }
+  html += barChart(rootHistory, { formatValue: formatPercent, title: `${root} net weight` });
+
+  return new Response(renderPage(html, { fund, subtitle: `Charts ${inRange[0]?.date || from} → ${inRange[inRange.length - 1]?.date || to}` }), {
+    headers: { 'Content-Type': 'text/html;charset=UTF-8' }
+  });
+}
+
+// "Short JY since 2025-09-02 (34 snapshots)": how long the latest position's direction has lasted
+function describePositionStreak(root, history) {
+  const last = history[history.length - 1];
+
+  if (!last || last.value === 0) {
+    return `No ${escapeHtml(root)} position in the latest snapshot of this range.`;
+  }
+
+  const sign = Math.sign(last.value);
+  let start = history.length - 1;
+  while (start > 0 && Math.sign(history[start - 1].value) === sign) {
+    start--;
+  }
+
+  const count = history.length - start;
+  const since = start === 0 ? `since at least ${history[0].date}` : `since ${history[start].date}`;
+  return `${sign > 0 ? 'Long' : 'Short'} ${escapeHtml(root)} ${since} (${count} snapshot${count === 1 ? '' : 's'}).`;
+}
+
+function shiftIsoDate(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+}
+
+function buildChartRangeForm(fund, from, to, first, latest, root) {
+  const rootParam = root ? `&root=${encodeURIComponent(root)}` : '';
+  const presets = CHART_RANGES.map(([label, days]) => {
+    const presetFrom = days === null ? first : shiftIsoDate(latest, -days);
+    return `<a href="${fund.basePath}/charts?from=${presetFrom}&to=${latest}${rootParam}">${label}</a>`;
+  }).join(' · ');
+
+  return `<form class="diff-form" method="get" action="${fund.basePath}/charts">
+<label>From <input type="date" name="from" value="${escapeHtml(from)}"></label>
+<label>To <input type="date" name="to" value="${escapeHtml(to)}"></label>
+${root ? `<input type="hidden" name="root" value="${escapeHtml(root)}">` : ''}
+<button type="submit">Show</button>
+<span class="chart-presets">${presets}</span>
+</form>\n`;
+}
+
+function buildRootSelector(fund, roots, selected, from, to) {
+  const options = roots
+    .map(root => `<option value="${escapeHtml(root)}"${root === selected ? ' selected' : ''}>${escapeHtml(root)}</option>`)
+    .join('');
+
+  return `<form class="diff-form" method="get" action="${fund.basePath}/charts">
+<input type="hidden" name="from" value="${escapeHtml(from)}">
+<input type="hidden" name="to" value="${escapeHtml(to)}">
+<label>Root <select name="root">${options}</select></label>
+<button type="submit">Show</button>
+</form>\n`;
+}
+
+// List the roots in today's file that have no symbol mapping, plus the effective mapping
+async function handleSymbolsAdmin(fund, env, ctx) {
+  const [{ filteredData }, symbolMap] = await Promise.all([loadWorkbook(fund, env, ctx), loadSymbolMap(env, fund.symbolMap)]);
+
+  const unmapped = new Map();
+  filteredData.forEach(row => {
+    const { root } = parseTicker(row['TICKER']);
+    if (symbolMap[root]) return;
+    if (!unmapped.has(root)) unmapped.set(root, []);
+    unmapped.get(root).push(row);
+  });
+
+  let html = '<h2 class="section-title">Unmapped roots in today\'s file</h2>\n';
+
+  if (unmapped.size === 0) {
+    html += '<p>Every ticker in today\'s file has a symbol mapping.</p>\n';
+  } else {
+    html += '<table class="data-table">\n<thead><tr><th>Root</th><th>Tickers</th><th>Descriptions</th></tr></thead>\n<tbody>\n';
+    unmapped.forEach((rows, root) => {
+      html += `<tr><td><strong>${escapeHtml(root)}</strong></td>`;
+      html += `<td>${rows.map(row => escapeHtml(row['TICKER'])).join(', ')}</td>`;
+      html += `<td>${rows.map(row => escapeHtml(row['DESCRIPTION'] || '')).join('<br>')}</td></tr>\n`;
+    });
+    html += '</tbody>\n</table>\n';
+  }
+
+  html += '<h2 class="section-title">Symbol map</h2>\n';
+  html += '<table class="data-table">\n<thead><tr><th>Root</th><th>Barchart</th><th>Asset Class</th><th>Name</th><th>Source</th></tr></thead>\n<tbody>\n';
+  Object.keys(symbolMap).sort().forEach(root => {
+    const entry = symbolMap[root];
+    html += `<tr><td><strong>${escapeHtml(root)}</strong></td><td>${escapeHtml(entry.barchart || '')}</td>`;
+    html += `<td>${escapeHtml(ASSET_CLASSES[entry.assetClass] || entry.assetClass || '')}</td>`;
+    html += `<td>${escapeHtml(entry.name || '')}</td><td>${entry.origin}</td></tr>\n`;
+  });
+  html += '</tbody>\n</table>';
+
+  return new Response(renderPage(html, { fund, subtitle: 'Symbol mapping' }), {
+    headers: { 'Content-Type': 'text/html;charset=UTF-8' }
+  });
+}
+
+// Check the spreadsheet source and the quote source without rendering anything.
+// Responds 200 when both work and 503 otherwise, so it can back an uptime monitor.
+async function handleHealth(fund, env) {
+  let tickers = [];
+
+  const spreadsheet = await runHealthCheck(async () => {
+    const { filteredData } = await fetchWorkbook(fund);
+    tickers = filteredData.map(row => row['TICKER']);
+    return `${filteredData.length} futures rows`;
+  });
+
+  const quotes = await runHealthCheck(async () => {
+    const symbolMap = await loadSymbolMap(env, fund.symbolMap);
+    // Quote a contract from today's file, or a mapped root if the file couldn't be read
+    const ticker = tickers[0] || Object.keys(symbolMap)[0];
+    const quote = (await fetchTickerPrices([ticker], env, symbolMap))[ticker];
+    if (quote.changePct === null) {
+      throw new Error(`${ticker}: ${quote.error}`);
+    }
+    return `${ticker} quoted as ${quote.symbol} via ${quote.source}`;
+  });
+
+  const healthy = spreadsheet.ok && quotes.ok;
+
+  return Response.json({ status: healthy ? 'ok' : 'degraded', checks: { spreadsheet, quotes } }, {
+    status: healthy ? 200 : 503,
+    headers: { 'Cache-Control': 'no-store' }
+  });
+}
+
+async function runHealthCheck(check) {
+  const started = Date.now();
+  try {
+    const detail = await check();
+    return { ok: true, latencyMs: Date.now() - started, detail };
+  } catch (error) {
+    return { ok: false, latencyMs: Date.now() - started, error: error.message };
+  }
+}
+
+// JSON error for API routes, an HTML error page for everything else
+function errorResponse(error, url, fund) {
+  const status = error.status || 500;
+  const title = error instanceof RequestError ? error.title :
+                error instanceof UpstreamError ? 'Upstream source unavailable' :
+                error instanceof SchemaError ? 'Unexpected holdings file layout' :
+                'Error processing Excel file';
+
+  if (url.pathname.startsWith(`${fund.basePath}/api/`)) {
+    return Response.json({ error: { type: error.name, title, message: error.message } }, { status });
+  }
+
+  let html = '<div class="error-box">\n';
+  html += `<h2>${title}</h2>\n`;
+  html += `<p>${escapeHtml(error.message)}</p>\n`;
+  if (error.source) {
+    html += `<p>Source: <a href="${escapeHtml(error.source)}" target="_blank">${escapeHtml(error.source)}</a></p>\n`;
+  }
+  if (!(error instanceof RequestError)) {
+    html += `<p>Check <a href="${fund.basePath}/health">${fund.basePath}/health</a> for the status of each data source.</p>\n`;
+  }
+  html += '</div>';
+
+  return new Response(renderPage(html, { fund, subtitle: `${status} ${title}` }), {
+    status,
+    headers: { 'Content-Type': 'text/html;charset=UTF-8' }
+  });
+}
+
+function historyNotConfigured() {
+  return textResponse('History is not configured: bind a HOLDINGS_HISTORY KV namespace in wrangler.toml', 503);
+}
+
+function textResponse(message, status) {
+  return new Response(message, {
+    status,
+    headers: { 'Content-Type': 'text/plain' }
+  });
+}
+
+// live: poll /api/quotes to keep the daily change columns current (not for stored snapshots)
+function renderHoldingsResponse(fund, holdings, subtitle = '', { live = false, pollSeconds = DEFAULT_QUOTES_CACHE_TTL, head = '' } = {}) {
+  return new Response(renderHoldingsPage(fund, holdings, subtitle, { live, pollSeconds, head }), {
+    headers: {
+      'Content-Type': 'text/html;charset=UTF-8',
+      'Cache-Control': 'public, max-age=300', // Cache for 5 minutes
+    }
+  });
+}
+
+// Return the same enriched holdings as JSON, with raw numbers instead of formatted strings
+async function handleHoldingsApi(fund, url, env, ctx) {
+  const asOf = url.searchParams.get('asOf');
+  const holdings = asOf ? await loadSettlementHoldings(fund, asOf, env) : await loadHoldings(fund, env, ctx);
+
+  return Response.json({ fundId: fund.id, ...serializeHoldings(holdings), cache: holdings.cacheStatus, schemaIssues: holdings.schemaIssues }, {
+    headers: {
+      'Cache-Control': 'public, max-age=300',
+    }
+  });
+}
+
+// Just the quote-dependent fields per ticker, polled by the holdings page to update it in place
+async function handleQuotesApi(fund, env, ctx) {
+  const holdings = await loadHoldings(fund, env, ctx);
+
+  const quotes = {};
+  holdings.dataWithContributions.forEach(item => {
+    const hasQuote = item.dailyChangeStr !== 'N/A';
+    quotes[item.original['TICKER']] = {
+      dailyChangePct: hasQuote ? item.dailyChangePct : null,
+      contribution: hasQuote ? item.contribution : null,
+      pnl: hasQuote ? item.pnl : null,
+      quoteSource: item.quoteSource ?? null,
+      quoteSymbol: item.quoteSymbol ?? null,
+      exactContract: item.exactContract ?? null,
+      quoteFetchedAt: item.quoteFetchedAt ?? null,
+      quoteError: item.quoteError,
+      marketOpen: item.marketOpen ?? null
+    };
+  });
+
+  return Response.json({
+    quotesFetchedAt: holdings.quotesFetchedAt,
+    market: futuresMarketStatus(),
+    pollSeconds: quotesCacheTtl(env),
+    totalContribution: holdings.totalContribution,
+    quotes
+  }, {
+    headers: { 'Cache-Control': 'no-store' }
+  });
+}
+
+// Download the enriched holdings as CSV or Excel, keeping numbers as numeric cells
+async function handleExport(fund, env, ctx, format) {
+  const holdings = await loadHoldings(fund, env, ctx);
+  const worksheet = buildExportSheet(holdings);
+  const filename = `${fund.name}-Holdings-${holdings.holdingsDate || 'latest'}.${format}`;
+
+  if (format === 'csv') {
+    return new Response(XLSX.utils.sheet_to_csv(worksheet, { rawNumbers: true }), {
+      headers: {
+        'Content-Type': 'text/csv;charset=UTF-8',
+        'Content-Disposition': `attachment; filename="${filename}"`
+      }
+    });
+  }
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Holdings');
+
+  return new Response(XLSX.write(workbook, { bookType: 'xlsx', type: 'array' }), {
+    headers: {
+      'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    }
+  });
+}
+
+// The original columns plus daily change, contribution, dollar P&L and quote details, one row per holding
+function buildExportSheet({ dataWithContributions }) {
+  const rows = dataWithContributions.map(item => {
+    const hasQuote = item.dailyChangeStr !== 'N/A';
+    return {
+      ...item.original,
+      'Daily Change': hasQuote ? item.dailyChangePct : null,
+      'Contribution': hasQuote ? item.contribution : null,
+      'P&L': hasQuote ? item.pnl : null,
+      'Quote Source': item.quoteSource || '',
+      'Quote Symbol': item.quoteSymbol || '',
+      'Quote Time': hasQuote ? item.quoteFetchedAt : '',
+      'Expiry': item.calendar ? item.calendar.expiry : '',
+      'Roll Date': item.calendar ? item.calendar.rollDate : ''
+    };
+  });
+
+  const worksheet = XLSX.utils.json_to_sheet(rows);
+
+  // Show decimal fractions as percentages in Excel without turning them into strings
+  const headers = rows.length > 0 ? Object.keys(rows[0]) : [];
+  const range = XLSX.utils.decode_range(worksheet['!ref']);
+  headers.forEach((header, col) => {
+    const format = ['PCT_HOLDINGS', 'Daily Change', 'Contribution'].includes(header) ? '0.00%' :
+                   header === 'P&L' ? '$#,##0;-$#,##0' : null;
+    if (!format) return;
+    for (let row = range.s.r + 1; row <= range.e.r; row++) {
+      const cell = worksheet[XLSX.utils.encode_cell({ r: row, c: col })];
+      if (cell && cell.t === 'n') cell.z = format;
+    }
+  });
+
+  return worksheet;
+}
+
+function buildDiffForm(fund, dates, from, to) {
+  const options = selected => dates
+    .map(date => `<option value="${date}"${date === selected ? ' selected' : ''}>${date}</option>`)
+    .join('');
+
+  return `<form class="diff-form" method="get" action="${fund.basePath}/diff">
+<label>From <select name="from">${options(from)}</select></label>
+<label>To <select name="to">${options(to)}</select></label>
+<button type="submit">Compare</button>
+</form>\n`;
+}
+
+function buildDiffTable(changes) {
+  const changed = changes.filter(change => change.flags.length > 0 || change.pctChange !== 0);
+
+  if (changed.length === 0) {
+    return '<p>No position changes between these dates.</p>';
+  }
+
+  let html = '<table id="diff-table">\n';
+  html += '<thead><tr><th>Root</th><th>From</th><th>To</th><th>Holdings % Before</th><th>Holdings % After</th><th>Change</th><th>Shares Before</th><th>Shares After</th><th>Change</th><th>Flags</th></tr></thead>\n';
+  html += '<tbody>\n';
+
+  changed.forEach(change => {
+    const changeClass = change.pctChange > 0 ? 'positive-change' :
+                        change.pctChange < 0 ? 'negative-change' : '';
+    const badges = change.flags.map(flag => `<span class="badge badge-${flag}">${flag}</span>`).join(' ');
+
+    html += '<tr>\n';
+    html += `<td><strong>${escapeHtml(change.root)}</strong></td>\n`;
+    html += `<td>${change.fromTicker ? escapeHtml(change.fromTicker) : '—'}</td>\n`;
+    html += `<td>${change.toTicker ? escapeHtml(change.toTicker) : '—'}</td>\n`;
+    html += `<td>${formatPercent(change.fromPct)}</td>\n`;
+    html += `<td>${formatPercent(change.toPct)}</td>\n`;
+    html += `<td${changeClass ? ` class="${changeClass}"` : ''}>${formatChangePercent(change.pctChange * 100)}</td>\n`;
+    html += `<td>${formatNumber(change.fromShares)}</td>\n`;
+    html += `<td>${formatNumber(change.toShares)}</td>\n`;
+    html += `<td>${formatNumber(change.sharesChange)}</td>\n`;
+    html += `<td>${badges}</td>\n`;
+    html += '</tr>\n';
+  });
+
+  html += '</tbody>\n</table>';
+
+  return html;
+}
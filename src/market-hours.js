@@ -0,0 +1,79 @@
+// Futures trading hours in New York time. Each session runs from Sunday's open to Friday's close,
+// with a daily break between close and open. Exchange holidays are not modelled.
+
+const EXCHANGE_TIME_ZONE = 'America/New_York';
+
+// Minutes after midnight (New York time) when the daily session closes and reopens
+export const SESSIONS = {
+  // CME Globex: every CME, CBOT, NYMEX and COMEX market the fund holds, and the default
+  globex: { name: 'CME Globex', close: 17 * 60, open: 18 * 60 },
+  // ICE Futures U.S. (MSCI index futures)
+  'ice-us': { name: 'ICE Futures U.S.', close: 18 * 60, open: 20 * 60 }
+};
+
+// Sessions start and end on the hour, so stepping in quarter hours can't miss a change
+const STEP_MS = 15 * 60 * 1000;
+const MAX_LOOKAHEAD_MS = 7 * 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// en-CA formats dates as YYYY-MM-DD
+const dateFormat = new Intl.DateTimeFormat('en-CA', {
+  timeZone: EXCHANGE_TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+});
+
+const clockFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: EXCHANGE_TIME_ZONE,
+  weekday: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+});
+
+export function isFuturesMarketOpen(date = new Date(), session = SESSIONS.globex) {
+  const { weekday, minutes } = exchangeClock(date);
+
+  if (weekday === 6) return false; // Saturday
+  if (weekday === 0) return minutes >= session.open; // Sunday evening open
+  if (weekday === 5) return minutes < session.close; // Friday close
+  return minutes < session.close || minutes >= session.open;
+}
+
+// { open, nextChange }: whether the market is open now, and when it next opens or closes
+export function futuresMarketStatus(date = new Date(), session = SESSIONS.globex) {
+  const open = isFuturesMarketOpen(date, session);
+  let time = Math.ceil((date.getTime() + 1) / STEP_MS) * STEP_MS;
+
+  while (time - date.getTime() <= MAX_LOOKAHEAD_MS) {
+    if (isFuturesMarketOpen(new Date(time), session) !== open) {
+      return { open, nextChange: new Date(time).toISOString() };
+    }
+    time += STEP_MS;
+  }
+
+  return { open, nextChange: null };
+}
+
+// Whether date falls in a weekday's break between the session's close and the next open (on a
+// Friday, the first hour after the close), when the day's settlements are final and the next
+// session hasn't started trading yet
+export function isDailyBreak(date = new Date(), session = SESSIONS.globex) {
+  const { weekday, minutes } = exchangeClock(date);
+  return weekday >= 1 && weekday <= 5 && minutes >= session.close && minutes < session.open;
+}
+
+// The New York calendar date (YYYY-MM-DD), which is the trading date of the day's settlements
+export function exchangeDate(date = new Date()) {
+  return dateFormat.format(date);
+}
+
+function exchangeClock(date) {
+  const parts = Object.fromEntries(clockFormat.formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
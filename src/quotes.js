@@ -0,0 +1,233 @@
+import { parseTicker } from './tickers.js';
+import { readJsonVar } from './symbols.js';
+
+// Quote providers, tried in the order configured by QUOTE_PROVIDERS (comma-separated).
+// Each provider returns { changePct, price, symbol, exactContract }, or throws an Error explaining
+// why it has no quote (the message is shown to users per row):
+//   changePct     - daily change in percent (e.g. -0.54)
+//   price         - last (after the close: settlement) price of the held contract, or null when
+//                   the provider has none or only quoted a stand-in; recorded by the daily snapshot
+//   symbol        - the symbol that was actually quoted
+//   exactContract - true when the held contract month was quoted, false for a front-month stand-in
+const QUOTE_PROVIDERS = {
+  barchart: {
+    name: 'barchart',
+    fetchChange: fetchBarchartChange
+  },
+  json: {
+    name: 'json',
+    fetchChange: fetchJsonApiChange
+  },
+  static: {
+    name: 'static',
+    fetchChange: fetchStaticChange
+  }
+};
+
+const DEFAULT_PROVIDERS = ['barchart'];
+
+// Fetch quotes for all tickers, using the symbol map from loadSymbolMap(). Returns
+// { [ticker]: { changePct, price, source, symbol, exactContract, error } }. When no provider answered,
+// changePct is null and error lists each provider's reason.
+export async function fetchTickerPrices(tickers, env = {}, symbolMap = {}) {
+  const providers = resolveProviders(env);
+  const prices = {};
+
+  // Fetch prices in parallel with a limit to avoid overwhelming the API
+  const batchSize = 10;
+  for (let i = 0; i < tickers.length; i += batchSize) {
+    const batch = tickers.slice(i, i + batchSize);
+    const batchPromises = batch.map(ticker => fetchSinglePrice(ticker, providers, env, symbolMap));
+    const batchResults = await Promise.all(batchPromises);
+
+    batch.forEach((ticker, index) => {
+      prices[ticker] = batchResults[index];
+    });
+  }
+
+  return prices;
+}
+
+function resolveProviders(env) {
+  const names = env.QUOTE_PROVIDERS
+    ? String(env.QUOTE_PROVIDERS).split(',').map(name => name.trim()).filter(Boolean)
+    : DEFAULT_PROVIDERS;
+
+  return names
+    .filter(name => {
+      if (!QUOTE_PROVIDERS[name]) {
+        console.warn(`Unknown quote provider: ${name}`);
+        return false;
+      }
+      return true;
+    })
+    .map(name => QUOTE_PROVIDERS[name]);
+}
+
+// Walk the provider chain until one of them returns a change
+async function fetchSinglePrice(ticker, providers, env, symbolMap) {
+  const parsed = parseTicker(ticker);
+  const contract = { ticker, ...parsed, mapping: symbolMap[parsed.root] || null };
+
+  const reasons = [];
+
+  for (const provider of providers) {
+    try {
+      const quote = await provider.fetchChange(contract, env);
+      return { ...quote, source: provider.name, error: null };
+    } catch (error) {
+      console.error(`Error fetching price for ${ticker} from ${provider.name}:`, error.message);
+      reasons.push(`${provider.name}: ${error.message}`);
+    }
+  }
+
+  const error = reasons.length > 0 ? reasons.join('; ') : 'no quote providers configured';
+  return { changePct: null, price: null, source: null, symbol: null, exactContract: null, error };
+}
+
+// Quote the held contract month from Barchart (e.g. CLZ5 -> CLZ25), falling back to the
+// front-month continuation (CL*0) when the exact contract can't be found
+async function fetchBarchartChange(contract) {
+  // Look up Barchart root symbol from mapping
+  let barchartRoot = contract.mapping?.barchart;
+
+  if (!barchartRoot) {
+    // Fallback: try the original prefix directly on Barchart
+    console.warn(`Unknown symbol prefix: ${contract.root}, trying directly on Barchart`);
+    barchartRoot = contract.root;
+  }
+
+  if (contract.monthCode) {
+    const symbol = `${barchartRoot}${contract.monthCode}${String(contract.year).slice(-2)}`;
+    try {
+      const { changePct, price } = await fetchBarchartPage(`https://www.barchart.com/futures/quotes/${symbol}/overview`, symbol);
+      return { changePct, price, symbol, exactContract: true };
+    } catch (error) {
+      console.warn(`No Barchart quote for ${symbol} (${error.message}), falling back to front month`);
+    }
+  }
+
+  const symbol = `${barchartRoot}*0`;
+  const { changePct } = await fetchBarchartPage(`https://www.barchart.com/futures/quotes/${symbol}/futures-prices`);
+  return { changePct, price: null, symbol, exactContract: false };
+}
+
+// Fetch price from Barchart HTML page. When a symbol is given, only a percentChange
+// belonging to that symbol's quote object is accepted, and that object's lastPrice is read too.
+async function fetchBarchartPage(url, symbol) {
+  // Fetch the HTML page which has embedded JSON data
+  const response = await fetch(url, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
+      'Accept': 'text/html'
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Barchart HTTP ${response.status}${response.status === 429 || response.status === 403 ? ' (rate-limited or blocked)' : ''}`);
+  }
+
+  const html = await response.text();
+
+  // Extract percentChange from embedded JSON in the HTML
+  // Pattern matches: "percentChange":"-0.54%" or "percentChange":"1.23%" or "unch"
+  const pattern = symbol
+    ? new RegExp(`"symbol":"${symbol}"[^{}]*?"percentChange":"([^"]+)"`)
+    : /"percentChange":"([^"]+)"/;
+  const match = html.match(pattern);
+  const changePct = match && match[1] ? parsePercent(match[1]) : null;
+
+  if (changePct === null) {
+    throw new Error(`percentChange not found on Barchart page${symbol ? ` for ${symbol}` : ''}`);
+  }
+
+  const priceMatch = symbol ? html.match(new RegExp(`"symbol":"${symbol}"[^{}]*?"lastPrice":"([^"]+)"`)) : null;
+
+  return { changePct, price: priceMatch ? parsePrice(priceMatch[1]) : null };
+}
+
+// Fetch from a JSON quote API configured with QUOTE_API_URL, e.g.
+// https://quotes.example.com/v1/futures/{ticker}. Placeholders: {ticker}, {root}, {contract}.
+// The change is read from QUOTE_API_FIELD (dot path, default "percentChange"), and the price from
+// QUOTE_API_PRICE_FIELD when set.
+async function fetchJsonApiChange(contract, env) {
+  if (!env.QUOTE_API_URL) {
+    throw new Error('QUOTE_API_URL is not set');
+  }
+
+  const url = env.QUOTE_API_URL
+    .replace('{ticker}', encodeURIComponent(contract.ticker))
+    .replace('{root}', encodeURIComponent(contract.root))
+    .replace('{contract}', encodeURIComponent(contract.contractCode || ''));
+
+  const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+
+  if (!response.ok) {
+    throw new Error(`quote API HTTP ${response.status}`);
+  }
+
+  const field = String(env.QUOTE_API_FIELD || 'percentChange');
+  const data = await response.json();
+  const changePct = parsePercent(readPath(data, field));
+
+  if (changePct === null) {
+    throw new Error(`no numeric "${field}" in quote API response`);
+  }
+
+  // Only a URL that names the contract month quotes the held contract
+  const exactContract = /\{(ticker|contract)\}/.test(env.QUOTE_API_URL);
+  const price = exactContract && env.QUOTE_API_PRICE_FIELD ? parsePrice(readPath(data, String(env.QUOTE_API_PRICE_FIELD))) : null;
+
+  return { changePct, price, symbol: exactContract ? contract.ticker : contract.root, exactContract };
+}
+
+function readPath(data, path) {
+  return path
+    .split('.')
+    .reduce((node, key) => (node === null || node === undefined ? undefined : node[key]), data);
+}
+
+// Fixed quotes from STATIC_QUOTES, a JSON object keyed by ticker or root: {"CLZ5": -1.2, "ES": "+0.54%"}
+async function fetchStaticChange(contract, env) {
+  const quotes = readJsonVar(env.STATIC_QUOTES);
+  const exactContract = quotes[contract.ticker] !== undefined;
+  const changePct = parsePercent(exactContract ? quotes[contract.ticker] : quotes[contract.root]);
+
+  if (changePct === null) {
+    throw new Error(`no static quote for ${contract.ticker} or ${contract.root}`);
+  }
+
+  return { changePct, price: null, symbol: exactContract ? contract.ticker : contract.root, exactContract };
+}
+
+// Parse "-0.54%", "+1.23", 0.5 or "unch" (unchanged) into a percent number
+function parsePercent(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  const str = String(value).trim();
+  if (str.toLowerCase() === 'unch') return 0;
+
+  const percentValue = parseFloat(str.replace('%', ''));
+  return isNaN(percentValue) ? null : percentValue;
+}
+
+// Trailing digit of a Treasury quote in 32nds: the fraction of a 32nd ("112-165" is 112 16.5/32)
+const FRACTION_OF_32ND = { '0': 0, '2': 0.25, '5': 0.5, '7': 0.75, '+': 0.5 };
+
+// Parse a price such as "61.23", "6,712.50" or "61.23s" (Barchart marks settlements with "s"), or a
+// Treasury quote in 32nds such as "112-16", "112'16", "112-165" or "103-272" (quarter 32nds).
+// Anything else gives null.
+export function parsePrice(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (value === null || value === undefined) return null;
+
+  const str = String(value).trim().replace(/,/g, '').replace(/s$/, '');
+  if (/^-?\d+(\.\d+)?$/.test(str)) return Number(str);
+
+  const thirtySeconds = str.match(/^(\d+)['-](\d{2})([0257+])?$/);
+  if (!thirtySeconds || Number(thirtySeconds[2]) >= 32) return null;
+
+  const [, whole, ticks, fraction = '0'] = thirtySeconds;
+  return Number(whole) + (Number(ticks) + FRACTION_OF_32ND[fraction]) / 32;
+}
@@ -0,0 +1,196 @@
+// A minimal raster canvas and PNG encoder, for images that link unfurlers (Slack, X, Facebook,
+// LinkedIn) display: they don't render SVG. Text uses a built-in 5×7 pixel font scaled up, so no
+// font files or image libraries are needed. Only uppercase letters, digits and a little punctuation
+// are drawn; lowercase is drawn as uppercase and anything else as "?".
+
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+
+// One row per entry, top to bottom; bit 4 is the leftmost pixel
+const GLYPHS = {
+  '0': [0x0e, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0e],
+  '1': [0x04, 0x0c, 0x04, 0x04, 0x04, 0x04, 0x0e],
+  '2': [0x0e, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1f],
+  '3': [0x1f, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0e],
+  '4': [0x02, 0x06, 0x0a, 0x12, 0x1f, 0x02, 0x02],
+  '5': [0x1f, 0x10, 0x1e, 0x01, 0x01, 0x11, 0x0e],
+  '6': [0x06, 0x08, 0x10, 0x1e, 0x11, 0x11, 0x0e],
+  '7': [0x1f, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+  '8': [0x0e, 0x11, 0x11, 0x0e, 0x11, 0x11, 0x0e],
+  '9': [0x0e, 0x11, 0x11, 0x0f, 0x01, 0x02, 0x0c],
+  'A': [0x0e, 0x11, 0x11, 0x1f, 0x11, 0x11, 0x11],
+  'B': [0x1e, 0x11, 0x11, 0x1e, 0x11, 0x11, 0x1e],
+  'C': [0x0e, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0e],
+  'D': [0x1c, 0x12, 0x11, 0x11, 0x11, 0x12, 0x1c],
+  'E': [0x1f, 0x10, 0x10, 0x1e, 0x10, 0x10, 0x1f],
+  'F': [0x1f, 0x10, 0x10, 0x1e, 0x10, 0x10, 0x10],
+  'G': [0x0e, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0f],
+  'H': [0x11, 0x11, 0x11, 0x1f, 0x11, 0x11, 0x11],
+  'I': [0x0e, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0e],
+  'J': [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0c],
+  'K': [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11],
+  'L': [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1f],
+  'M': [0x11, 0x1b, 0x15, 0x15, 0x11, 0x11, 0x11],
+  'N': [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+  'O': [0x0e, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0e],
+  'P': [0x1e, 0x11, 0x11, 0x1e, 0x10, 0x10, 0x10],
+  'Q': [0x0e, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0d],
+  'R': [0x1e, 0x11, 0x11, 0x1e, 0x14, 0x12, 0x11],
+  'S': [0x0f, 0x10, 0x10, 0x0e, 0x01, 0x01, 0x1e],
+  'T': [0x1f, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+  'U': [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0e],
+  'V': [0x11, 0x11, 0x11, 0x11, 0x11, 0x0a, 0x04],
+  'W': [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0a],
+  'X': [0x11, 0x11, 0x0a, 0x04, 0x0a, 0x11, 0x11],
+  'Y': [0x11, 0x11, 0x0a, 0x04, 0x04, 0x04, 0x04],
+  'Z': [0x1f, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1f],
+  '+': [0x00, 0x04, 0x04, 0x1f, 0x04, 0x04, 0x00],
+  '-': [0x00, 0x00, 0x00, 0x1f, 0x00, 0x00, 0x00],
+  '.': [0x00, 0x00, 0x00, 0x00, 0x00, 0x0c, 0x0c],
+  ',': [0x00, 0x00, 0x00, 0x00, 0x0c, 0x04, 0x08],
+  '%': [0x18, 0x19, 0x02, 0x04, 0x08, 0x13, 0x03],
+  ':': [0x00, 0x0c, 0x0c, 0x00, 0x0c, 0x0c, 0x00],
+  '/': [0x00, 0x01, 0x02, 0x04, 0x08, 0x10, 0x00],
+  '(': [0x02, 0x04, 0x08, 0x08, 0x08, 0x04, 0x02],
+  ')': [0x08, 0x04, 0x02, 0x02, 0x02, 0x04, 0x08],
+  '&': [0x0c, 0x12, 0x14, 0x08, 0x15, 0x12, 0x0d],
+  '?': [0x0e, 0x11, 0x01, 0x02, 0x04, 0x00, 0x04]
+};
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+// An indexed-color canvas (up to 256 colors) filled with background ("#rrggbb"). One byte per
+// pixel keeps filling and compressing a full-size image cheap.
+export function createCanvas(width, height, background = '#ffffff') {
+  const canvas = { width, height, pixels: new Uint8Array(width * height), palette: [] };
+  fillRect(canvas, 0, 0, width, height, background);
+  return canvas;
+}
+
+export function fillRect(canvas, x, y, width, height, color) {
+  const index = colorIndex(canvas, color);
+  const x0 = Math.max(0, Math.round(x));
+  const y0 = Math.max(0, Math.round(y));
+  const x1 = Math.min(canvas.width, Math.round(x + width));
+  const y1 = Math.min(canvas.height, Math.round(y + height));
+
+  for (let row = y0; row < y1; row++) {
+    canvas.pixels.fill(index, row * canvas.width + x0, row * canvas.width + x1);
+  }
+}
+
+// Width in pixels of text drawn at scale (each font pixel becomes scale × scale)
+export function textWidth(text, scale) {
+  return text.length === 0 ? 0 : (text.length * (GLYPH_WIDTH + 1) - 1) * scale;
+}
+
+// Height in pixels of a line of text at scale
+export function textHeight(scale) {
+  return GLYPH_HEIGHT * scale;
+}
+
+// Draw text with its top edge at y. align "left" starts at x, "right" ends at x.
+export function drawText(canvas, text, x, y, { scale = 1, color = '#000000', align = 'left' } = {}) {
+  let left = align === 'right' ? x - textWidth(text, scale) : x;
+
+  [...text.toUpperCase()].forEach(char => {
+    if (char !== ' ') {
+      const rows = GLYPHS[char] || GLYPHS['?'];
+      rows.forEach((bits, row) => {
+        for (let col = 0; col < GLYPH_WIDTH; col++) {
+          if (bits & (1 << (GLYPH_WIDTH - 1 - col))) {
+            fillRect(canvas, left + col * scale, y + row * scale, scale, scale, color);
+          }
+        }
+      });
+    }
+    left += (GLYPH_WIDTH + 1) * scale;
+  });
+}
+
+// Encode the canvas as an indexed-color PNG, deflated with CompressionStream
+export async function encodePng(canvas) {
+  const { width, height, pixels, palette } = canvas;
+  const stride = width;
+
+  // Each scanline starts with its filter type (0, none)
+  const raw = new Uint8Array((stride + 1) * height);
+  for (let row = 0; row < height; row++) {
+    raw.set(pixels.subarray(row * stride, (row + 1) * stride), row * (stride + 1) + 1);
+  }
+
+  const compressed = new Uint8Array(await new Response(
+    new Blob([raw]).stream().pipeThrough(new CompressionStream('deflate'))
+  ).arrayBuffer());
+
+  const header = new Uint8Array(13);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  header.set([8, 3, 0, 0, 0], 8); // bit depth, color type (palette), compression, filter, interlace
+
+  return concat([
+    new Uint8Array(PNG_SIGNATURE),
+    chunk('IHDR', header),
+    chunk('PLTE', new Uint8Array(palette.flatMap(parseColor))),
+    chunk('IDAT', compressed),
+    chunk('IEND', new Uint8Array(0))
+  ]);
+}
+
+function chunk(type, data) {
+  const bytes = new Uint8Array(12 + data.length);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, data.length);
+  bytes.set([...type].map(char => char.charCodeAt(0)), 4);
+  bytes.set(data, 8);
+  view.setUint32(8 + data.length, crc32(bytes.subarray(4, 8 + data.length)));
+  return bytes;
+}
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function concat(parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+}
+
+function colorIndex(canvas, color) {
+  // parseColor reads the palette as #rrggbb; a short "#333" would come out as another color
+  if (!/^#[0-9a-f]{6}$/i.test(color)) {
+    throw new Error(`Canvas colors must be #rrggbb, got ${color}`);
+  }
+  const key = color.toLowerCase();
+  let index = canvas.palette.indexOf(key);
+  if (index === -1) {
+    if (canvas.palette.length === 256) {
+      throw new Error('Canvas palette is full (256 colors)');
+    }
+    index = canvas.palette.push(key) - 1;
+  }
+  return index;
+}
+
+function parseColor(color) {
+  const hex = color.replace('#', '');
+  return [0, 2, 4].map(index => parseInt(hex.slice(index, index + 2), 16));
+}
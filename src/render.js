@@ -0,0 +1,1315 @@
+import { ASSET_CLASSES } from './symbols.js';
+import { DEFAULT_FUND } from './funds.js';
+import { futuresMarketStatus } from './market-hours.js';
+import { ROLL_WINDOW_DAYS } from './calendar.js';
+import { escapeHtml, formatDate, formatAge, formatNumber, formatCurrency, formatPrice, formatPercent, formatChangePercent } from './format.js';
+
+// HTML for the holdings page and the page shell shared by every route. The page is built as one
+// string with inline CSS and scripts, so the worker serves it without any static assets.
+
+// The holdings page: leverage and exposure summaries, the color-coded table, collateral and
+// diagnostics. live adds the "Last quote at" line and the polling script (pollSeconds apart);
+// head is extra markup for <head>, such as the Open Graph tags.
+export function renderHoldingsPage(fund, holdings, subtitle = '', { live = false, pollSeconds, head = '' } = {}) {
+  const { fundInfo, dataWithContributions, totalContribution, exposures, collateral, leverage } = holdings;
+
+  // Build HTML table manually with color coding
+  const htmlTable = buildColorCodedTable(formatHoldingRows(dataWithContributions), dataWithContributions, totalContribution);
+
+  const pageOptions = {
+    fund,
+    fundSummary: buildFundSummary(fundInfo),
+    subtitle,
+    head,
+    footerNote: holdings.cacheStatus ? buildCacheNote(holdings.cacheStatus) : '',
+    script: HOLDINGS_TABLE_SCRIPT + (live ? LIVE_QUOTES_SCRIPT : '')
+  };
+
+  const quoteStatus = live ? buildQuoteStatus(fund, holdings.quotesFetchedAt, pollSeconds) : '';
+  const content = buildLeverageSummary(leverage, collateral) + buildExposureTable(exposures) + quoteStatus + htmlTable +
+    buildCollateralTable(collateral) + buildDiagnostics(dataWithContributions, holdings.schemaIssues || []);
+
+  return renderPage(content, pageOptions);
+}
+
+// Raw values behind the formatted numeric columns of the holdings table, used by the inline
+// script to sort numerically and to recompute the TOTAL row for a filtered view
+const NUMERIC_COLUMNS = {
+  'Contracts': item => item.original['SHARES'],
+  'Market Value': item => item.original['BASE_MV'],
+  'Holdings %': item => item.original['PCT_HOLDINGS'],
+  'Daily Change': item => item.dailyChangeStr !== 'N/A' ? item.dailyChangePct : null,
+  'Contribution': item => item.dailyChangeStr !== 'N/A' ? item.contribution : null,
+  'P&L': item => item.pnl,
+  'Days to Roll': item => item.calendar ? item.calendar.daysToRoll : null
+};
+
+// Columns summed in the TOTAL row, and how the script formats the sum
+const TOTAL_COLUMNS = {
+  'Contribution': 'change-percent',
+  'P&L': 'currency'
+};
+
+// The display strings of each holdings table row, keyed by column header
+export function formatHoldingRows(dataWithContributions) {
+  return dataWithContributions.map(item => {
+    const row = item.original;
+    return {
+      'Date': formatDate(row['DATE']),
+      'CUSIP': row['CUSIP'] || '',
+      'Ticker': row['TICKER'] || '',
+      'Description': row['DESCRIPTION'] || '',
+      'Contracts': formatNumber(row['SHARES']),
+      'Market Value': formatCurrency(row['BASE_MV']),
+      'Holdings %': formatPercent(row['PCT_HOLDINGS']),
+      'Daily Change': item.dailyChangeStr || 'N/A',
+      'Contribution': item.dailyChangeStr !== 'N/A' ? formatChangePercent(item.contribution * 100) : 'N/A',
+      'P&L': item.pnl !== null && item.pnl !== undefined ? formatCurrency(item.pnl) : 'N/A',
+      'Expiry': item.calendar ? item.calendar.expiry : '',
+      'Days to Roll': item.calendar ? String(item.calendar.daysToRoll) : ''
+    };
+  });
+}
+
+export function buildColorCodedTable(formattedRows, dataRows, totalContribution) {
+  if (formattedRows.length === 0) {
+    return '<p>No holdings with tickers found.</p>';
+  }
+
+  // Get column headers from the first row
+  const headers = Object.keys(formattedRows[0]);
+  let usedFrontMonth = false;
+  let hasStaleQuotes = false;
+  let hasRollWindow = false;
+
+  // Build table HTML
+  let html = buildTableControls(headers, dataRows);
+  html += '<table id="holdings-table">\n';
+  html += '<thead><tr>\n';
+
+  // Add headers, described with data attributes for the sorting/filtering script
+  headers.forEach(header => {
+    const type = NUMERIC_COLUMNS[header] ? ' data-type="number"' : '';
+    const total = TOTAL_COLUMNS[header] ? ` data-total="${TOTAL_COLUMNS[header]}"` : '';
+    html += `<th data-column="${escapeHtml(header)}"${type}${total}>${escapeHtml(header)}</th>\n`;
+  });
+
+  html += '</tr></thead>\n<tbody>\n';
+
+  // Add data rows
+  formattedRows.forEach((row, index) => {
+    const originalPercent = dataRows[index].original['PCT_HOLDINGS'];
+    const rowClass = originalPercent > 0 ? 'positive-holding' : 
+                    originalPercent < 0 ? 'negative-holding' : '';
+    const search = `${row['Ticker']} ${row['Description']}`.toLowerCase();
+    const side = originalPercent < 0 ? 'short' : 'long';
+
+    html += `<tr${rowClass ? ` class="${rowClass}"` : ''} data-ticker="${escapeHtml(row['Ticker'])}" data-side="${side}" data-asset-class="${escapeHtml(dataRows[index].assetClass || 'other')}" data-search="${escapeHtml(search)}">\n`;
+
+    headers.forEach((header, colIndex) => {
+      // Add special class for Daily Change and Contribution columns to color them
+      let tdClass = '';
+      const cellValue = row[header];
+
+      if ((header === 'Daily Change' || header === 'Contribution' || header === 'P&L') && cellValue && cellValue !== 'N/A') {
+        const numericValue = header === 'P&L' ? dataRows[index].pnl : parseFloat(cellValue.replace('%', ''));
+        if (numericValue > 0) {
+          tdClass = ' class="positive-change"';
+        } else if (numericValue < 0) {
+          tdClass = ' class="negative-change"';
+        }
+      }
+      // Show which quote provider and symbol answered when hovering the daily change,
+      // and mark quotes that fell back to the front month instead of the held contract
+      let title = '';
+      if (header === 'Daily Change' && dataRows[index].quoteError && cellValue === 'N/A') {
+        title = ` title="${escapeHtml(dataRows[index].quoteError)}"`;
+        tdClass = ' class="quote-error"';
+      } else if (header === 'Daily Change' && dataRows[index].quoteSource) {
+        const { quoteSource, quoteSymbol, exactContract, quoteFetchedAt, marketOpen } = dataRows[index];
+        const quotedAt = quoteFetchedAt ? ` at ${new Date(quoteFetchedAt).toUTCString()}` : '';
+        const closed = marketOpen === false ? ' · market closed, change is from the last session' : '';
+        title = ` title="${escapeHtml(quoteSymbol)} via ${escapeHtml(quoteSource)}${quotedAt}${exactContract === false ? ' (front month, held contract not quoted)' : ''}${closed}"`;
+        if (exactContract === false) {
+          usedFrontMonth = true;
+          tdClass = tdClass ? tdClass.replace('class="', 'class="front-month-quote ') : ' class="front-month-quote"';
+        }
+        if (marketOpen === false) {
+          hasStaleQuotes = true;
+          tdClass = tdClass ? tdClass.replace('class="', 'class="stale-quote ') : ' class="stale-quote"';
+        }
+      }
+      // Mark contracts inside the roll window, with the date they roll by
+      const calendar = dataRows[index].calendar;
+      if (header === 'Days to Roll' && calendar) {
+        title = ` title="Roll by ${calendar.rollDate} (${calendar.rollReason}), expires ${calendar.expiry}"`;
+        if (calendar.inRollWindow) {
+          hasRollWindow = true;
+          tdClass = ' class="roll-window"';
+        }
+      }
+      const raw = NUMERIC_COLUMNS[header] ? NUMERIC_COLUMNS[header](dataRows[index]) : null;
+      const value = typeof raw === 'number' ? ` data-value="${raw}"` : '';
+      html += `<td${tdClass}${title}${value}>${escapeHtml(cellValue)}</td>\n`;
+    });
+
+    html += '</tr>\n';
+  });
+
+  // Add total row
+  const totalPnl = dataRows.reduce((sum, item) => sum + (item.pnl || 0), 0);
+  html += '<tr class="total-row">\n';
+  headers.forEach((header, index) => {
+    if (header === 'Contribution') {
+      const totalClass = totalContribution > 0 ? 'positive-change' : 
+                        totalContribution < 0 ? 'negative-change' : '';
+      html += `<td class="${totalClass}">${formatChangePercent(totalContribution * 100)}</td>\n`;
+    } else if (header === 'P&L') {
+      const totalClass = totalPnl > 0 ? 'positive-change' :
+                        totalPnl < 0 ? 'negative-change' : '';
+      html += `<td class="${totalClass}">${formatCurrency(totalPnl)}</td>\n`;
+    } else if (index === 0) {
+      html += `<td><strong>TOTAL</strong></td>\n`;
+    } else {
+      html += `<td></td>\n`;
+    }
+  });
+  html += '</tr>\n';
+
+  html += '</tbody>\n</table>';
+
+  if (usedFrontMonth) {
+    html += '\n<p class="table-note">† Front-month quote: the held contract month could not be quoted.</p>';
+  }
+  if (hasStaleQuotes) {
+    html += '\n<p class="table-note"><span class="stale-quote">Greyed</span> changes are for markets that are closed right now, so they show the last session\'s move.</p>';
+  }
+  if (hasRollWindow) {
+    html += `\n<p class="table-note"><span class="roll-window">Highlighted</span> contracts are within ${ROLL_WINDOW_DAYS} business days of their roll date (first notice or last trading day) or past it.</p>`;
+  }
+
+  return html;
+}
+
+// Search box, long/short and asset class filters and column toggles for the holdings table.
+// Hidden until the inline script (HOLDINGS_TABLE_SCRIPT) wires them up.
+function buildTableControls(headers, dataRows) {
+  const assetClasses = [...Object.keys(ASSET_CLASSES), 'other']
+    .filter(assetClass => dataRows.some(item => (item.assetClass || 'other') === assetClass));
+
+  let html = '<div id="table-controls" class="table-controls" hidden>\n';
+  html += '<input type="search" id="holdings-search" placeholder="Search ticker or description">\n';
+  html += '<select id="holdings-side"><option value="">Long &amp; short</option><option value="long">Long</option><option value="short">Short</option></select>\n';
+  html += '<select id="holdings-class"><option value="">All asset classes</option>';
+  assetClasses.forEach(assetClass => {
+    html += `<option value="${assetClass}">${ASSET_CLASSES[assetClass] || 'Other'}</option>`;
+  });
+  html += '</select>\n';
+  html += '<details class="column-toggles"><summary>Columns</summary>\n';
+  headers.forEach(header => {
+    html += `<label><input type="checkbox" data-column="${escapeHtml(header)}" checked> ${escapeHtml(header)}</label>\n`;
+  });
+  html += '</details>\n';
+  html += '<span id="holdings-count" class="table-note"></span>\n';
+  html += '</div>\n';
+
+  return html;
+}
+
+// Net/gross exposure and contribution per asset class, shown above the holdings table
+function buildExposureTable(exposures) {
+  if (exposures.length === 0) {
+    return '';
+  }
+
+  const changeClass = value => value > 0 ? ' class="positive-change"' : value < 0 ? ' class="negative-change"' : '';
+  const totals = exposures.reduce((sum, exposure) => ({
+    positions: sum.positions + exposure.positions,
+    net: sum.net + exposure.net,
+    gross: sum.gross + exposure.gross,
+    netNotional: sum.netNotional + exposure.netNotional,
+    grossNotional: sum.grossNotional + exposure.grossNotional,
+    contribution: sum.contribution + exposure.contribution,
+    pnl: sum.pnl + exposure.pnl
+  }), { positions: 0, net: 0, gross: 0, netNotional: 0, grossNotional: 0, contribution: 0, pnl: 0 });
+
+  let html = '<h2 class="section-title">Exposure by Asset Class</h2>\n';
+  html += '<table id="exposure-table" class="data-table">\n';
+  html += '<thead><tr><th>Asset Class</th><th>Positions</th><th>Net %</th><th>Gross %</th><th>Net Notional</th><th>Gross Notional</th><th>Contribution</th><th>P&amp;L</th></tr></thead>\n<tbody>\n';
+
+  [...exposures, { label: 'Total', ...totals }].forEach(exposure => {
+    html += `<tr${exposure.label === 'Total' ? ' class="total-row"' : ''}>\n`;
+    html += `<td><strong>${exposure.label}</strong></td>\n`;
+    html += `<td>${exposure.positions}</td>\n`;
+    html += `<td${changeClass(exposure.net)}>${formatPercent(exposure.net)}</td>\n`;
+    html += `<td>${formatPercent(exposure.gross)}</td>\n`;
+    html += `<td${changeClass(exposure.netNotional)}>${formatCurrency(exposure.netNotional)}</td>\n`;
+    html += `<td>${formatCurrency(exposure.grossNotional)}</td>\n`;
+    html += `<td${changeClass(exposure.contribution)}>${formatChangePercent(exposure.contribution * 100)}</td>\n`;
+    html += `<td${changeClass(exposure.pnl)}>${formatCurrency(exposure.pnl)}</td>\n`;
+    html += '</tr>\n';
+  });
+
+  html += '</tbody>\n</table>\n';
+
+  return html;
+}
+
+// Futures notional vs. collateral as a share of NAV, i.e. the fund's actual leverage
+function buildLeverageSummary(leverage, collateral) {
+  const stats = [
+    ['Futures Notional (gross)', formatPercent(leverage.futuresGross), `of NAV · ${formatCurrency(leverage.grossNotional)}`],
+    ['Futures Notional (net)', formatPercent(leverage.futuresNet), `of NAV · ${formatCurrency(leverage.netNotional)}`]
+  ];
+  if (collateral.length > 0) {
+    stats.push(['Collateral &amp; Cash', formatPercent(leverage.collateralPct), `of NAV · ${formatCurrency(leverage.collateralValue)}`]);
+  }
+
+  let html = '<div class="stat-grid">\n';
+  stats.forEach(([label, value, note]) => {
+    html += `<div class="stat"><span class="stat-label">${label}</span><span class="stat-value">${value}</span><span class="stat-note">${note}</span></div>\n`;
+  });
+  html += '</div>\n';
+
+  return html;
+}
+
+// The rows without a ticker: T-bills, money-market funds and cash backing the futures
+function buildCollateralTable(collateral) {
+  if (collateral.length === 0) {
+    return '';
+  }
+
+  const totals = collateral.reduce((sum, row) => ({
+    value: sum.value + (Number(row['BASE_MV']) || 0),
+    pct: sum.pct + (Number(row['PCT_HOLDINGS']) || 0)
+  }), { value: 0, pct: 0 });
+
+  let html = '\n<h2 class="section-title">Collateral &amp; Cash</h2>\n';
+  html += '<table id="collateral-table" class="data-table">\n';
+  html += '<thead><tr><th>Description</th><th>CUSIP</th><th>Shares / Par</th><th>Market Value</th><th>Holdings %</th></tr></thead>\n<tbody>\n';
+
+  [...collateral].sort((a, b) => (Number(b['BASE_MV']) || 0) - (Number(a['BASE_MV']) || 0)).forEach(row => {
+    html += '<tr>\n';
+    html += `<td>${escapeHtml(row['DESCRIPTION'] || '')}</td>\n`;
+    html += `<td>${escapeHtml(row['CUSIP'] || '')}</td>\n`;
+    html += `<td>${formatNumber(row['SHARES'])}</td>\n`;
+    html += `<td>${formatCurrency(row['BASE_MV'])}</td>\n`;
+    html += `<td>${formatPercent(row['PCT_HOLDINGS'])}</td>\n`;
+    html += '</tr>\n';
+  });
+
+  html += '<tr class="total-row">\n<td><strong>TOTAL</strong></td>\n<td></td>\n<td></td>\n';
+  html += `<td>${formatCurrency(totals.value)}</td>\n<td>${formatPercent(totals.pct)}</td>\n</tr>\n`;
+  html += '</tbody>\n</table>\n';
+
+  return html;
+}
+
+// Per-ticker quote failures and workbook row problems, listed under the holdings table
+function buildDiagnostics(dataRows, schemaIssues) {
+  const failures = dataRows.filter(item => item.quoteError && item.dailyChangeStr === 'N/A');
+
+  if (failures.length === 0 && schemaIssues.length === 0) {
+    return '';
+  }
+
+  let html = '\n<h2 class="section-title diagnostics-title">Diagnostics</h2>\n';
+
+  if (schemaIssues.length > 0) {
+    html += '<ul class="schema-issues">\n';
+    schemaIssues.forEach(issue => {
+      html += `<li>${escapeHtml(issue)}</li>\n`;
+    });
+    html += '</ul>\n';
+  }
+
+  if (failures.length === 0) {
+    return html;
+  }
+
+  html += `<p class="table-note">${failures.length} of ${dataRows.length} tickers have no quote; their contribution counts as zero in the total.</p>\n`;
+  html += '<table id="diagnostics-table" class="data-table">\n<thead><tr><th>Ticker</th><th>Description</th><th>Reason</th></tr></thead>\n<tbody>\n';
+  failures.forEach(item => {
+    html += `<tr><td><strong>${escapeHtml(item.original['TICKER'])}</strong></td>`;
+    html += `<td>${escapeHtml(item.original['DESCRIPTION'] || '')}</td>`;
+    html += `<td>${escapeHtml(item.quoteError)}</td></tr>\n`;
+  });
+  html += '</tbody>\n</table>';
+
+  return html;
+}
+
+// "Last quote at" line above the live table, updated by LIVE_QUOTES_SCRIPT
+function buildQuoteStatus(fund, quotesFetchedAt, pollSeconds) {
+  const market = futuresMarketStatus();
+  const state = market.open ? `updating every ${pollSeconds}s` : 'futures market closed, live updates paused';
+
+  return `<p id="quote-status" class="table-note" data-endpoint="${fund.basePath}/api/quotes" data-poll-seconds="${pollSeconds}" data-market-open="${market.open}" data-next-change="${market.nextChange || ''}">` +
+    `Last quote at <span id="quote-time">${new Date(quotesFetchedAt).toUTCString()}</span> · <span id="quote-state">${state}</span></p>\n`;
+}
+
+// How old the cached workbook and quotes behind this page are
+function buildCacheNote(cacheStatus) {
+  const describe = ({ storedAt, refreshing }) =>
+    `${formatAge(Date.now() - Date.parse(storedAt))} old${refreshing ? ' (refreshing)' : ''}`;
+
+  return `Holdings file: ${describe(cacheStatus.workbook)} · Quotes: ${describe(cacheStatus.quotes)}`;
+}
+
+function buildFundSummary(fundInfo) {
+  const items = [
+    ['NAV', formatPrice(fundInfo['NAV'])],
+    ['Shares Outstanding', formatNumber(fundInfo['SHARES_OUTSTANDING'])],
+    ['Net Assets', formatCurrency(fundInfo['NET_ASSETS'])],
+    ['As of', formatDate(fundInfo['DATE'])]
+  ].filter(([, value]) => value !== '');
+
+  if (items.length === 0) {
+    return '';
+  }
+
+  let html = '<div class="fund-summary">\n';
+  items.forEach(([label, value]) => {
+    html += `<div class="fund-stat"><span class="fund-stat-label">${label}</span><span class="fund-stat-value">${value}</span></div>\n`;
+  });
+  html += '</div>';
+
+  return html;
+}
+
+// Client-side sorting, filtering and column toggling for #holdings-table. The view is kept in the
+// query string (?sort=P%26L&dir=asc&q=gold&side=short&class=metals&hide=Date,CUSIP) so it can be shared.
+const HOLDINGS_TABLE_SCRIPT = `
+(function () {
+  var table = document.getElementById('holdings-table');
+  var controls = document.getElementById('table-controls');
+  if (!table || !controls) return;
+
+  var headers = Array.prototype.slice.call(table.tHead.rows[0].cells);
+  var tbody = table.tBodies[0];
+  var totalRow = tbody.querySelector('.total-row');
+  var rows = Array.prototype.slice.call(tbody.rows).filter(function (row) { return row !== totalRow; });
+  var search = document.getElementById('holdings-search');
+  var side = document.getElementById('holdings-side');
+  var assetClass = document.getElementById('holdings-class');
+  var count = document.getElementById('holdings-count');
+  var toggles = Array.prototype.slice.call(controls.querySelectorAll('input[type="checkbox"]'));
+
+  var params = new URLSearchParams(location.search);
+  var state = {
+    sort: params.get('sort'),
+    dir: params.get('dir') === 'asc' ? 'asc' : 'desc',
+    q: params.get('q') || '',
+    side: params.get('side') || '',
+    assetClass: params.get('class') || '',
+    // Phones start without Date and CUSIP unless the link says otherwise
+    hide: params.has('hide')
+      ? params.get('hide').split(',').filter(Boolean)
+      : (window.matchMedia('(max-width: 768px)').matches ? ['Date', 'CUSIP'] : []),
+    hideInUrl: params.has('hide')
+  };
+
+  function columnIndex(name) {
+    for (var i = 0; i < headers.length; i++) {
+      if (headers[i].dataset.column === name) return i;
+    }
+    return -1;
+  }
+
+  // Numbers come from data-value so they sort as numbers; empty (e.g. no quote) is null
+  function sortValue(row, index) {
+    var cell = row.cells[index];
+    if (headers[index].dataset.type === 'number') {
+      return cell.dataset.value === undefined ? null : Number(cell.dataset.value);
+    }
+    var text = cell.textContent.trim().toLowerCase();
+    return text === '' ? null : text;
+  }
+
+  function formatTotal(value, format) {
+    if (format === 'currency') {
+      return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }).format(value);
+    }
+    return new Intl.NumberFormat('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2, signDisplay: 'always' }).format(value * 100) + '%';
+  }
+
+  function updateUrl() {
+    var query = new URLSearchParams(location.search);
+    var values = {
+      sort: state.sort,
+      dir: state.sort ? state.dir : null,
+      q: state.q,
+      side: state.side,
+      'class': state.assetClass,
+      hide: state.hideInUrl ? state.hide.join(',') : null
+    };
+    Object.keys(values).forEach(function (key) {
+      if (values[key] === null || (values[key] === '' && key !== 'hide')) {
+        query.delete(key);
+      } else {
+        query.set(key, values[key]);
+      }
+    });
+    var search = query.toString();
+    history.replaceState(null, '', location.pathname + (search ? '?' + search : ''));
+  }
+
+  function apply() {
+    var sortIndex = state.sort ? columnIndex(state.sort) : -1;
+    var sorted = rows.slice();
+
+    if (sortIndex >= 0) {
+      var sign = state.dir === 'asc' ? 1 : -1;
+      sorted.sort(function (a, b) {
+        var x = sortValue(a, sortIndex);
+        var y = sortValue(b, sortIndex);
+        // Missing values always go last
+        if (x === null || y === null) return (x === null) - (y === null);
+        return (typeof x === 'number' ? x - y : x.localeCompare(y)) * sign;
+      });
+    }
+
+    var query = state.q.toLowerCase();
+    var visible = 0;
+    sorted.forEach(function (row) {
+      var show = (!query || row.dataset.search.indexOf(query) !== -1) &&
+        (!state.side || row.dataset.side === state.side) &&
+        (!state.assetClass || row.dataset.assetClass === state.assetClass);
+      row.hidden = !show;
+      if (show) visible++;
+      tbody.insertBefore(row, totalRow);
+    });
+
+    headers.forEach(function (header, index) {
+      // TOTAL over the rows still shown
+      var format = header.dataset.total;
+      if (format && totalRow) {
+        var sum = 0;
+        rows.forEach(function (row) {
+          var value = row.cells[index].dataset.value;
+          if (!row.hidden && value !== undefined) sum += Number(value);
+        });
+        totalRow.cells[index].textContent = formatTotal(sum, format);
+        totalRow.cells[index].className = sum > 0 ? 'positive-change' : sum < 0 ? 'negative-change' : '';
+      }
+
+      var hidden = state.hide.indexOf(header.dataset.column) !== -1;
+      header.hidden = hidden;
+      rows.concat(totalRow ? [totalRow] : []).forEach(function (row) { row.cells[index].hidden = hidden; });
+
+      header.classList.toggle('sorted-asc', index === sortIndex && state.dir === 'asc');
+      header.classList.toggle('sorted-desc', index === sortIndex && state.dir === 'desc');
+    });
+
+    // Keep the TOTAL label in the first column that is still shown
+    if (totalRow) {
+      var labelIndex = headers.findIndex(function (header) { return !header.hidden && !header.dataset.total; });
+      headers.forEach(function (header, index) {
+        if (!header.dataset.total) totalRow.cells[index].innerHTML = index === labelIndex ? '<strong>TOTAL</strong>' : '';
+      });
+    }
+
+    toggles.forEach(function (toggle) {
+      toggle.checked = state.hide.indexOf(toggle.dataset.column) === -1;
+    });
+    count.textContent = visible === rows.length ? '' : 'Showing ' + visible + ' of ' + rows.length + ' holdings';
+
+    updateUrl();
+  }
+
+  headers.forEach(function (header) {
+    header.addEventListener('click', function () {
+      var column = header.dataset.column;
+      if (state.sort === column) {
+        state.dir = state.dir === 'asc' ? 'desc' : 'asc';
+      } else {
+        state.sort = column;
+        state.dir = header.dataset.type === 'number' ? 'desc' : 'asc';
+      }
+      apply();
+    });
+  });
+
+  search.value = state.q;
+  side.value = state.side;
+  assetClass.value = state.assetClass;
+
+  search.addEventListener('input', function () { state.q = search.value.trim(); apply(); });
+  side.addEventListener('change', function () { state.side = side.value; apply(); });
+  assetClass.addEventListener('change', function () { state.assetClass = assetClass.value; apply(); });
+  toggles.forEach(function (toggle) {
+    toggle.addEventListener('change', function () {
+      state.hide = toggles.filter(function (t) { return !t.checked; }).map(function (t) { return t.dataset.column; });
+      state.hideInUrl = true;
+      apply();
+    });
+  });
+
+  // Live quote updates change the summed columns
+  table.addEventListener('holdings-updated', apply);
+
+  controls.hidden = false;
+  apply();
+})();
+`;
+
+// Keeps the Daily Change, Contribution and P&L cells of the live page current by polling
+// /api/quotes. Polling pauses while the futures market is closed and while the tab is hidden.
+const LIVE_QUOTES_SCRIPT = `
+(function () {
+  var table = document.getElementById('holdings-table');
+  var status = document.getElementById('quote-status');
+  if (!table || !status) return;
+
+  var headers = Array.prototype.slice.call(table.tHead.rows[0].cells);
+  var columns = {};
+  headers.forEach(function (header, index) { columns[header.dataset.column] = index; });
+
+  var pollMs = Number(status.dataset.pollSeconds) * 1000;
+  var marketOpen = status.dataset.marketOpen === 'true';
+  var nextChange = status.dataset.nextChange;
+  var timer = null;
+
+  function format(value, type) {
+    if (type === 'currency') {
+      return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }).format(value);
+    }
+    return new Intl.NumberFormat('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2, signDisplay: 'always' }).format(value * 100) + '%';
+  }
+
+  function setCell(row, column, value, type) {
+    var cell = row.cells[columns[column]];
+    if (!cell) return;
+
+    var text = value === null ? 'N/A' : format(value, type);
+    if (cell.textContent === text) return;
+
+    cell.textContent = text;
+    if (value === null) {
+      delete cell.dataset.value;
+    } else {
+      cell.dataset.value = value;
+    }
+    cell.classList.toggle('positive-change', value > 0);
+    cell.classList.toggle('negative-change', value < 0);
+
+    // Restart the highlight animation
+    cell.classList.remove('cell-updated');
+    void cell.offsetWidth;
+    cell.classList.add('cell-updated');
+  }
+
+  function update(data) {
+    Array.prototype.slice.call(table.tBodies[0].rows).forEach(function (row) {
+      var quote = data.quotes[row.dataset.ticker];
+      if (!quote) return;
+
+      setCell(row, 'Daily Change', quote.dailyChangePct, 'change-percent');
+      setCell(row, 'Contribution', quote.contribution, 'change-percent');
+      setCell(row, 'P&L', quote.pnl, 'currency');
+
+      var changeCell = row.cells[columns['Daily Change']];
+      if (!changeCell) return;
+      changeCell.classList.toggle('quote-error', quote.dailyChangePct === null);
+      changeCell.classList.toggle('front-month-quote', quote.dailyChangePct !== null && quote.exactContract === false);
+      changeCell.classList.toggle('stale-quote', quote.dailyChangePct !== null && quote.marketOpen === false);
+      if (quote.dailyChangePct === null) {
+        changeCell.title = quote.quoteError || '';
+      } else if (quote.quoteSymbol) {
+        changeCell.title = quote.quoteSymbol + ' via ' + quote.quoteSource +
+          (quote.quoteFetchedAt ? ' at ' + new Date(quote.quoteFetchedAt).toUTCString() : '') +
+          (quote.exactContract === false ? ' (front month, held contract not quoted)' : '') +
+          (quote.marketOpen === false ? ' · market closed, change is from the last session' : '');
+      }
+    });
+
+    // Let the table script recompute TOTAL for the rows currently shown
+    table.dispatchEvent(new CustomEvent('holdings-updated'));
+    document.getElementById('quote-time').textContent = new Date(data.quotesFetchedAt).toUTCString();
+  }
+
+  function setState(text) {
+    document.getElementById('quote-state').textContent = text;
+  }
+
+  // Poll every pollMs while the market is open; otherwise sleep until it reopens
+  function schedule() {
+    clearTimeout(timer);
+    if (document.hidden) return;
+
+    if (marketOpen) {
+      setState('updating every ' + pollMs / 1000 + 's');
+      timer = setTimeout(poll, pollMs);
+    } else {
+      setState('futures market closed, live updates paused');
+      if (nextChange) timer = setTimeout(poll, Math.max(0, Date.parse(nextChange) - Date.now()));
+    }
+  }
+
+  function poll() {
+    fetch(status.dataset.endpoint, { headers: { 'Accept': 'application/json' } })
+      .then(function (response) {
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        return response.json();
+      })
+      .then(function (data) {
+        marketOpen = data.market.open;
+        nextChange = data.market.nextChange;
+        pollMs = data.pollSeconds * 1000;
+        update(data);
+        schedule();
+      })
+      .catch(function (error) {
+        setState('update failed (' + error.message + '), retrying');
+        clearTimeout(timer);
+        timer = setTimeout(poll, pollMs);
+      });
+  }
+
+  document.addEventListener('visibilitychange', function () {
+    if (document.hidden) {
+      clearTimeout(timer);
+    } else {
+      poll();
+    }
+  });
+
+  schedule();
+})();
+`;
+
+// Title of pages that belong to no single fund (/funds)
+const SITE_TITLE = 'Managed Futures Holdings';
+
+// Create a complete HTML page with styling. fund: null renders the neutral shell for pages outside
+// any fund, with a generic title and no data source or download links.
+export function renderPage(htmlTable, { fund = DEFAULT_FUND, fundSummary = '', subtitle = '', head = '', footerNote = '', script = '' } = {}) {
+  const title = fund ? `${fund.name} Holdings` : SITE_TITLE;
+  const fundLinks = fund ? `
+            <p>Data source: <a href="${escapeHtml(fund.sourceUrl)}" target="_blank">${escapeHtml(fund.sourceUrl.split('/').pop())}</a></p>
+            <p>Download: <a href="${fund.basePath}/export.csv">CSV</a> · <a href="${fund.basePath}/export.xlsx">Excel</a> · <a href="${fund.basePath}/api/holdings">JSON</a> · <a href="/funds">All funds</a></p>` : '';
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    ${head}
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            min-height: 100vh;
+            padding: 20px;
+        }
+        
+        .container {
+            max-width: 1400px;
+            margin: 0 auto;
+            background: white;
+            border-radius: 12px;
+            box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+            overflow: hidden;
+        }
+        
+        .header {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            padding: 30px;
+            text-align: center;
+        }
+        
+        .header h1 {
+            font-size: 2.5em;
+            margin-bottom: 10px;
+            font-weight: 700;
+        }
+        
+        .header p {
+            font-size: 1.1em;
+            opacity: 0.9;
+        }
+        
+        .front-month-quote::after {
+            content: '†';
+            margin-left: 2px;
+        }
+        
+        .stale-quote {
+            opacity: 0.6;
+            font-style: italic;
+        }
+        
+        .roll-window {
+            background: #fff3e0;
+            color: #e65100;
+            font-weight: 600;
+        }
+        
+        .quote-error {
+            color: #999;
+            cursor: help;
+            text-decoration: underline dotted;
+        }
+        
+        .diagnostics-title {
+            margin-top: 30px;
+        }
+        
+        .schema-issues {
+            margin: 0 0 15px 20px;
+            font-size: 13px;
+            color: #c62828;
+        }
+        
+        .error-box {
+            border-left: 4px solid #c62828;
+            background: #ffebee;
+            padding: 20px;
+            border-radius: 6px;
+            color: #333;
+        }
+        
+        .error-box h2 {
+            color: #c62828;
+            margin-bottom: 10px;
+        }
+        
+        .error-box p {
+            margin-top: 8px;
+        }
+        
+        .table-note {
+            margin-top: 10px;
+            font-size: 12px;
+            color: #666;
+        }
+        
+        .snapshot-list {
+            list-style: none;
+            columns: 4 160px;
+        }
+        
+        .snapshot-list li {
+            padding: 6px 0;
+        }
+        
+        .snapshot-list a {
+            color: #667eea;
+            font-weight: 600;
+            text-decoration: none;
+        }
+        
+        .diff-form {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 15px;
+            align-items: center;
+            margin-bottom: 20px;
+        }
+        
+        .chart {
+            width: 100%;
+            height: auto;
+            display: block;
+            margin-bottom: 10px;
+        }
+        
+        .chart-marker {
+            opacity: 0;
+        }
+        
+        .chart-marker:hover {
+            opacity: 1;
+        }
+        
+        .chart-legend {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 15px;
+            font-size: 13px;
+            color: #555;
+            margin-bottom: 20px;
+        }
+        
+        .chart-legend i {
+            display: inline-block;
+            width: 12px;
+            height: 12px;
+            border-radius: 2px;
+            margin-right: 5px;
+            vertical-align: -1px;
+        }
+        
+        .chart-presets a {
+            color: #667eea;
+            font-weight: 600;
+            text-decoration: none;
+        }
+        
+        .diff-form button {
+            background: #667eea;
+            color: white;
+            border: none;
+            border-radius: 6px;
+            padding: 6px 14px;
+            font-weight: 600;
+            cursor: pointer;
+        }
+        
+        #diff-table,
+        .data-table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 14px;
+            margin-bottom: 20px;
+        }
+        
+        #diff-table th,
+        .data-table th {
+            background: #667eea;
+            color: white;
+            padding: 12px;
+            text-align: left;
+            font-weight: 600;
+            text-transform: uppercase;
+            font-size: 12px;
+            letter-spacing: 0.5px;
+        }
+        
+        #diff-table td,
+        .data-table td {
+            padding: 10px 12px;
+            border-bottom: 1px solid #e0e0e0;
+        }
+        
+        #exposure-table td:nth-child(n+2),
+        #exposure-table th:nth-child(n+2),
+        #fidelity-table td:nth-child(n+3),
+        #fidelity-table th:nth-child(n+3) {
+            text-align: right;
+        }
+        
+        .stat-grid {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 20px;
+            margin-bottom: 20px;
+        }
+        
+        .stat {
+            flex: 1 1 160px;
+            display: flex;
+            flex-direction: column;
+            padding: 15px;
+            border-radius: 8px;
+            background: #f8f9fa;
+            border: 1px solid #e0e0e0;
+        }
+        
+        .stat-label {
+            font-size: 12px;
+            text-transform: uppercase;
+            letter-spacing: 0.5px;
+            color: #666;
+        }
+        
+        .stat-value {
+            font-size: 1.4em;
+            font-weight: 700;
+            color: #333;
+        }
+        
+        .stat-note {
+            font-size: 12px;
+            color: #888;
+        }
+        
+        .section-title {
+            font-size: 1.2em;
+            color: #333;
+            margin-bottom: 12px;
+        }
+        
+        .badge {
+            display: inline-block;
+            padding: 2px 8px;
+            border-radius: 10px;
+            font-size: 11px;
+            font-weight: 700;
+            text-transform: uppercase;
+            background: #eceff1;
+            color: #455a64;
+        }
+        
+        .badge-new { background: #e8f5e9; color: #2e7d32; }
+        .badge-closed { background: #ffebee; color: #c62828; }
+        .badge-flipped { background: #fff3e0; color: #e65100; }
+        .badge-rolled { background: #e3f2fd; color: #1565c0; }
+        
+        .fund-summary {
+            display: flex;
+            flex-wrap: wrap;
+            justify-content: center;
+            gap: 30px;
+            margin-top: 15px;
+        }
+        
+        .fund-stat {
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+        }
+        
+        .fund-stat-label {
+            font-size: 12px;
+            text-transform: uppercase;
+            letter-spacing: 0.5px;
+            opacity: 0.8;
+        }
+        
+        .fund-stat-value {
+            font-size: 1.4em;
+            font-weight: 700;
+        }
+        
+        .table-container {
+            overflow-x: auto;
+            padding: 30px;
+        }
+        
+        #holdings-table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 14px;
+        }
+        
+        #holdings-table th {
+            background: #667eea;
+            color: white;
+            padding: 15px;
+            text-align: left;
+            font-weight: 600;
+            position: sticky;
+            top: 0;
+            z-index: 10;
+            text-transform: uppercase;
+            font-size: 12px;
+            letter-spacing: 0.5px;
+        }
+        
+        #holdings-table td {
+            padding: 12px 15px;
+            border-bottom: 1px solid #e0e0e0;
+        }
+        
+        /* Right-align numeric columns (Contracts through P&L) */
+        #holdings-table td:nth-child(n+5) {
+            text-align: right;
+            font-family: 'SF Mono', Monaco, 'Cascadia Code', 'Roboto Mono', Consolas, 'Courier New', monospace;
+        }
+        
+        /* Right-align headers for numeric columns */
+        #holdings-table th:nth-child(n+5) {
+            text-align: right;
+        }
+        
+        /* Sortable headers */
+        #holdings-table th[data-column] {
+            cursor: pointer;
+            user-select: none;
+        }
+        
+        #holdings-table th.sorted-asc::after {
+            content: ' ▲';
+        }
+        
+        #holdings-table th.sorted-desc::after {
+            content: ' ▼';
+        }
+        
+        .cell-updated {
+            animation: cell-updated 2s ease-out;
+        }
+        
+        @keyframes cell-updated {
+            from {
+                outline: 2px solid #ffb300;
+                outline-offset: -2px;
+            }
+            to {
+                outline: 2px solid transparent;
+                outline-offset: -2px;
+            }
+        }
+        
+        .table-controls {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 10px;
+            margin-bottom: 15px;
+        }
+        
+        .table-controls[hidden] {
+            display: none;
+        }
+        
+        .table-controls input[type="search"],
+        .table-controls select {
+            padding: 8px 10px;
+            border: 1px solid #ccc;
+            border-radius: 6px;
+            font-size: 14px;
+        }
+        
+        .table-controls input[type="search"] {
+            flex: 1 1 200px;
+        }
+        
+        .column-toggles {
+            position: relative;
+            font-size: 14px;
+        }
+        
+        .column-toggles summary {
+            cursor: pointer;
+            padding: 8px 10px;
+            border: 1px solid #ccc;
+            border-radius: 6px;
+        }
+        
+        .column-toggles label {
+            display: block;
+            padding: 4px 10px;
+            white-space: nowrap;
+        }
+        
+        .column-toggles[open] > summary + label {
+            margin-top: 5px;
+        }
+        
+        /* Color coding for Holdings % column */
+        .positive-holding td:nth-child(7) {
+            background: linear-gradient(135deg, #e8f5e9 0%, #c8e6c9 100%);
+            color: #2e7d32;
+            font-weight: 600;
+            box-shadow: inset 0 0 0 1px rgba(76, 175, 80, 0.2);
+        }
+        
+        .negative-holding td:nth-child(7) {
+            background: linear-gradient(135deg, #ffebee 0%, #ffcdd2 100%);
+            color: #c62828;
+            font-weight: 600;
+            box-shadow: inset 0 0 0 1px rgba(244, 67, 54, 0.2);
+        }
+        
+        /* Color coding for Daily Change column */
+        .positive-change {
+            background: linear-gradient(135deg, #e8f5e9 0%, #c8e6c9 100%);
+            color: #2e7d32;
+            font-weight: 600;
+            box-shadow: inset 0 0 0 1px rgba(76, 175, 80, 0.2);
+        }
+        
+        .negative-change {
+            background: linear-gradient(135deg, #ffebee 0%, #ffcdd2 100%);
+            color: #c62828;
+            font-weight: 600;
+            box-shadow: inset 0 0 0 1px rgba(244, 67, 54, 0.2);
+        }
+        
+        #holdings-table tr:hover {
+            background-color: #f5f5f5;
+            transition: background-color 0.2s ease;
+        }
+        
+        .positive-holding:hover td:nth-child(7) {
+            background: linear-gradient(135deg, #c8e6c9 0%, #a5d6a7 100%);
+            box-shadow: inset 0 0 0 1px rgba(76, 175, 80, 0.3);
+        }
+        
+        .negative-holding:hover td:nth-child(7) {
+            background: linear-gradient(135deg, #ffcdd2 0%, #ef9a9a 100%);
+            box-shadow: inset 0 0 0 1px rgba(244, 67, 54, 0.3);
+        }
+        
+        #holdings-table tr:hover .positive-change {
+            background: linear-gradient(135deg, #c8e6c9 0%, #a5d6a7 100%);
+            box-shadow: inset 0 0 0 1px rgba(76, 175, 80, 0.3);
+        }
+        
+        #holdings-table tr:hover .negative-change {
+            background: linear-gradient(135deg, #ffcdd2 0%, #ef9a9a 100%);
+            box-shadow: inset 0 0 0 1px rgba(244, 67, 54, 0.3);
+        }
+        
+        #holdings-table tr:nth-child(even) {
+            background-color: #fafafa;
+        }
+        
+        /* Total row styling */
+        .total-row {
+            background: linear-gradient(135deg, #e3f2fd 0%, #bbdefb 100%);
+            font-weight: 700;
+            border-top: 3px solid #667eea;
+        }
+        
+        .total-row td {
+            padding: 15px;
+            font-size: 1.1em;
+        }
+        
+        .total-row:hover {
+            background: linear-gradient(135deg, #bbdefb 0%, #90caf9 100%);
+        }
+        
+        #holdings-table tr:nth-child(even):hover {
+            background-color: #f5f5f5;
+        }
+        
+        .footer {
+            background: #f8f9fa;
+            padding: 20px 30px;
+            text-align: center;
+            color: #666;
+            font-size: 14px;
+            border-top: 1px solid #e0e0e0;
+        }
+        
+        .footer a {
+            color: #667eea;
+            text-decoration: none;
+            font-weight: 600;
+        }
+        
+        .footer a:hover {
+            text-decoration: underline;
+        }
+        
+        .timestamp {
+            margin-top: 10px;
+            font-size: 12px;
+            opacity: 0.8;
+        }
+        
+        @media (max-width: 768px) {
+            body {
+                padding: 5px;
+            }
+            
+            .container {
+                border-radius: 8px;
+            }
+            
+            .header {
+                padding: 10px;
+            }
+            
+            .header h1 {
+                font-size: 1.1em;
+            }
+            
+            .header p {
+                font-size: 0.7em;
+            }
+            
+            .fund-summary {
+                gap: 10px;
+                margin-top: 5px;
+            }
+            
+            .fund-stat-label {
+                font-size: 6px;
+            }
+            
+            .fund-stat-value {
+                font-size: 0.8em;
+            }
+            
+            .table-container {
+                padding: 3px;
+                overflow-x: auto;
+            }
+            
+            #holdings-table {
+                font-size: 7px;
+            }
+            
+            #holdings-table th,
+            #holdings-table td {
+                padding: 2px 2px;
+                white-space: nowrap;
+            }
+            
+            /* Consistent header sizing - all at 6px */
+            #holdings-table th {
+                font-size: 6px;
+                padding: 3px 2px;
+            }
+            
+            /* Make Date and CUSIP columns smaller */
+            #holdings-table td:nth-child(1),
+            #holdings-table td:nth-child(2) {
+                font-size: 6px;
+            }
+            
+            /* Make ticker column slightly larger for readability */
+            #holdings-table td:nth-child(3) {
+                font-size: 7px;
+                font-weight: 600;
+            }
+            
+            /* Make description column wrappable and limit width */
+            #holdings-table td:nth-child(4) {
+                max-width: 60px;
+                white-space: normal;
+                font-size: 6px;
+                line-height: 1.1;
+            }
+            
+            .footer {
+                padding: 8px;
+                font-size: 9px;
+            }
+            
+            .footer .timestamp {
+                font-size: 7px;
+            }
+            
+            .total-row td {
+                padding: 3px 2px;
+                font-size: 0.95em;
+            }
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>📊 ${escapeHtml(title)}</h1>
+            ${subtitle ? `<p>${subtitle}</p>` : ''}
+            ${fundSummary}
+        </div>
+        <div class="table-container">
+            ${htmlTable}
+        </div>
+        <div class="footer">${fundLinks}
+            <p class="timestamp">Last updated: ${new Date().toUTCString()}</p>
+            ${footerNote ? `<p class="timestamp">${footerNote}</p>` : ''}
+        </div>
+    </div>
+    ${script ? `<script>${script}</script>` : ''}
+</body>
+</html>
+  `.trim();
+}
@@ -0,0 +1,82 @@
+import { ISO_DATE_PATTERN, MAX_GAP_DAYS, spansGap, loadSettlements, listSettlementDates } from './history.js';
+import { readJsonVar } from './symbols.js';
+import { parsePrice } from './quotes.js';
+
+// Settlement-to-settlement returns for ?asOf=YYYY-MM-DD. Live quotes measure the move "right now",
+// which on a weekend or the next morning is no longer the holdings DATE's move; settlements pin
+// each contract's return to one trading day: settle(asOf) / settle(previous trading day) - 1.
+//
+// Settlement prices come from two places, merged per ticker (supplied prices win):
+//   - stored: recorded by the daily snapshot cron in HOLDINGS_HISTORY (see recordSettlements in index.js)
+//   - supplied: SETTLEMENTS, a JSON object { "YYYY-MM-DD": { "CLZ5": 61.23, ... } }, for backfills
+//     and local development
+// Prices are keyed by the holdings file's ticker, so a roll needs both contracts' prices.
+
+// The settlements for asOf and for the trading day before it (the latest earlier date with any
+// prices). Returns { date, previousDate, prices, previousPrices }; previousDate is null when
+// there is no earlier date.
+export async function loadSettlementWindow(kv, env, asOf, fundId) {
+  const supplied = readSuppliedSettlements(env);
+  const storedDates = kv ? await listSettlementDates(kv, fundId) : [];
+
+  const previousDate = [...new Set([...storedDates, ...Object.keys(supplied)])]
+    .filter(date => date < asOf)
+    .sort()
+    .pop() || null;
+
+  const load = async date => {
+    if (!date) return {};
+    const stored = kv && storedDates.includes(date) ? await loadSettlements(kv, date, fundId) : null;
+    return { ...stored, ...supplied[date] };
+  };
+
+  const [prices, previousPrices] = await Promise.all([load(asOf), load(previousDate)]);
+
+  return { date: asOf, previousDate, prices, previousPrices };
+}
+
+// { [ticker]: { changePct, settle, previousSettle, error } } for each ticker, changePct in percent
+// like the quote providers' (null, with the reason in error, when a price is missing)
+export function settlementReturns(tickers, window) {
+  const returns = {};
+
+  tickers.forEach(ticker => {
+    const settle = parsePrice(window.prices[ticker]);
+    const previousSettle = parsePrice(window.previousPrices[ticker]);
+    let error = null;
+
+    if (settle === null) {
+      error = `no settlement price for ${ticker} on ${window.date}`;
+    } else if (!window.previousDate) {
+      error = `no settlement prices stored before ${window.date}`;
+    } else if (spansGap(window.previousDate, window.date)) {
+      error = `previous settlements (${window.previousDate}) are more than ${MAX_GAP_DAYS} days before ${window.date}`;
+    } else if (previousSettle === null || previousSettle === 0) {
+      error = `no settlement price for ${ticker} on ${window.previousDate}`;
+    }
+
+    returns[ticker] = {
+      changePct: error ? null : (settle / previousSettle - 1) * 100,
+      settle,
+      previousSettle,
+      error
+    };
+  });
+
+  return returns;
+}
+
+function readSuppliedSettlements(env) {
+  const supplied = readJsonVar(env.SETTLEMENTS);
+  const byDate = {};
+
+  Object.entries(supplied).forEach(([date, prices]) => {
+    if (!ISO_DATE_PATTERN.test(date) || !prices || typeof prices !== 'object') {
+      console.warn(`Ignoring SETTLEMENTS entry ${date}: expected "YYYY-MM-DD": { ticker: price }`);
+      return;
+    }
+    byDate[date] = prices;
+  });
+
+  return byDate;
+}
@@ -0,0 +1,217 @@
+import { escapeHtml, formatChangePercent } from './format.js';
+import { createCanvas, fillRect, drawText, textHeight, encodePng } from './raster.js';
+
+// The estimated daily move in shareable forms: a compact card for iframes (/embed), an image
+// (/og.png, and /og.svg for clients that render SVG), and the Open Graph tags that make links to
+// the holdings page unfurl with it.
+
+// Contributors shown on each side
+const TOP_COUNT = 3;
+
+const OG_WIDTH = 1200;
+const OG_HEIGHT = 630;
+const GRADIENT_BANDS = 120;
+
+// { holdingsDate, quotesFetchedAt, totalContribution, top, bottom }: the largest positive and
+// negative contributors, each { ticker, description, dailyChangePct, contribution }.
+// Holdings without a quote are left out.
+export function summarizeDailyMove(holdings) {
+  const quoted = holdings.dataWithContributions
+    .filter(item => item.dailyChangeStr !== 'N/A')
+    .map(item => ({
+      ticker: item.original['TICKER'],
+      description: item.original['DESCRIPTION'] || '',
+      dailyChangePct: item.dailyChangePct,
+      contribution: item.contribution
+    }));
+
+  const byContribution = [...quoted].sort((a, b) => b.contribution - a.contribution);
+
+  return {
+    holdingsDate: holdings.holdingsDate,
+    quotesFetchedAt: holdings.quotesFetchedAt,
+    totalContribution: holdings.totalContribution,
+    top: byContribution.filter(item => item.contribution > 0).slice(0, TOP_COUNT),
+    bottom: byContribution.filter(item => item.contribution < 0).reverse().slice(0, TOP_COUNT)
+  };
+}
+
+// A self-contained HTML card (no external assets) sized for an iframe about 420×260.
+// pageUrl is the full holdings page, opened in a new tab from the card.
+export function renderSummaryCard(fund, summary, pageUrl) {
+  const list = (items, empty) => items.length === 0
+    ? `<li class="empty">${empty}</li>`
+    : items.map(item => `<li><span title="${escapeHtml(item.description)}">${escapeHtml(item.ticker)}</span>` +
+        `<span class="${changeClass(item.contribution)}">${formatChangePercent(item.contribution * 100)}</span></li>`).join('');
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(fund.name)} estimated daily move</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+            background: transparent;
+            color: #333;
+        }
+        .card {
+            max-width: 420px;
+            border-radius: 12px;
+            overflow: hidden;
+            background: white;
+            box-shadow: 0 2px 12px rgba(0, 0, 0, 0.12);
+        }
+        .card-header {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            padding: 12px 16px;
+            display: flex;
+            justify-content: space-between;
+            align-items: baseline;
+        }
+        .card-header h1 { font-size: 1.1em; }
+        .card-header span { font-size: 0.85em; opacity: 0.9; }
+        .total { padding: 12px 16px 4px; }
+        .total small { display: block; font-size: 0.75em; color: #666; text-transform: uppercase; letter-spacing: 0.5px; }
+        .total strong { font-size: 2em; }
+        .movers { display: flex; gap: 16px; padding: 8px 16px 12px; }
+        .movers div { flex: 1; }
+        .movers h2 { font-size: 0.75em; color: #666; text-transform: uppercase; letter-spacing: 0.5px; margin-bottom: 4px; }
+        .movers ul { list-style: none; font-size: 0.9em; }
+        .movers li { display: flex; justify-content: space-between; padding: 2px 0; }
+        .movers li.empty { color: #999; }
+        .positive-change { color: #2e7d32; font-weight: 600; }
+        .negative-change { color: #c62828; font-weight: 600; }
+        .card-footer { border-top: 1px solid #e0e0e0; padding: 8px 16px; font-size: 0.75em; color: #666; }
+        .card-footer a { color: #667eea; text-decoration: none; }
+    </style>
+</head>
+<body>
+    <div class="card">
+        <div class="card-header">
+            <h1>📊 ${escapeHtml(fund.name)}</h1>
+            <span>Holdings of ${escapeHtml(summary.holdingsDate || 'unknown date')}</span>
+        </div>
+        <div class="total">
+            <small>Estimated daily move</small>
+            <strong class="${changeClass(summary.totalContribution)}">${formatChangePercent(summary.totalContribution * 100)}</strong>
+        </div>
+        <div class="movers">
+            <div><h2>Top contributors</h2><ul>${list(summary.top, 'None')}</ul></div>
+            <div><h2>Top detractors</h2><ul>${list(summary.bottom, 'None')}</ul></div>
+        </div>
+        <div class="card-footer">
+            Quotes as of ${summary.quotesFetchedAt ? new Date(summary.quotesFetchedAt).toUTCString() : 'N/A'} ·
+            <a href="${escapeHtml(pageUrl)}" target="_blank" rel="noopener">Full holdings →</a>
+        </div>
+    </div>
+</body>
+</html>
+  `.trim();
+}
+
+// The same summary as a 1200×630 image, the usual Open Graph size
+export function renderSummarySvg(fund, summary) {
+  const total = summary.totalContribution;
+  const column = (title, items, x) => {
+    let svg = `<text x="${x}" y="400" font-size="26" fill="#666" letter-spacing="1">${title}</text>\n`;
+    if (items.length === 0) {
+      svg += `<text x="${x}" y="450" font-size="32" fill="#999">None</text>\n`;
+    }
+    items.forEach((item, index) => {
+      const y = 450 + index * 52;
+      svg += `<text x="${x}" y="${y}" font-size="34" font-weight="600" fill="#333">${escapeHtml(item.ticker)}</text>\n`;
+      svg += `<text x="${x + 480}" y="${y}" font-size="34" font-weight="600" text-anchor="end" fill="${changeColor(item.contribution)}">${formatChangePercent(item.contribution * 100)}</text>\n`;
+    });
+    return svg;
+  };
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${OG_WIDTH}" height="${OG_HEIGHT}" viewBox="0 0 ${OG_WIDTH} ${OG_HEIGHT}" font-family="-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif">
+<defs>
+<linearGradient id="header" x1="0" y1="0" x2="1" y2="1">
+<stop offset="0" stop-color="#667eea"/>
+<stop offset="1" stop-color="#764ba2"/>
+</linearGradient>
+</defs>
+<rect width="${OG_WIDTH}" height="${OG_HEIGHT}" fill="white"/>
+<rect width="${OG_WIDTH}" height="120" fill="url(#header)"/>
+<text x="60" y="78" font-size="48" font-weight="700" fill="white">${escapeHtml(fund.name)} Holdings</text>
+<text x="${OG_WIDTH - 60}" y="78" font-size="30" fill="white" text-anchor="end" opacity="0.9">${escapeHtml(summary.holdingsDate || '')}</text>
+<text x="60" y="200" font-size="28" fill="#666" letter-spacing="1">ESTIMATED DAILY MOVE</text>
+<text x="60" y="320" font-size="120" font-weight="700" fill="${changeColor(total)}">${formatChangePercent(total * 100)}</text>
+${column('TOP CONTRIBUTORS', summary.top, 60)}${column('TOP DETRACTORS', summary.bottom, 660)}</svg>
+`;
+}
+
+// The same layout as renderSummarySvg as PNG bytes, since link unfurlers don't render SVG
+export async function renderSummaryPng(fund, summary) {
+  const total = summary.totalContribution;
+  const canvas = createCanvas(OG_WIDTH, OG_HEIGHT);
+
+  // Header gradient in vertical bands, which keeps it within the canvas palette
+  const from = [0x66, 0x7e, 0xea];
+  const to = [0x76, 0x4b, 0xa2];
+  const bandWidth = OG_WIDTH / GRADIENT_BANDS;
+  for (let band = 0; band < GRADIENT_BANDS; band++) {
+    const color = '#' + from.map((channel, i) =>
+      Math.round(channel + (to[i] - channel) * band / (GRADIENT_BANDS - 1)).toString(16).padStart(2, '0')).join('');
+    fillRect(canvas, band * bandWidth, 0, bandWidth, 120, color);
+  }
+
+  drawText(canvas, `${fund.name} Holdings`, 60, 60 - textHeight(6) / 2, { scale: 6, color: '#ffffff' });
+  drawText(canvas, summary.holdingsDate || '', OG_WIDTH - 60, 60 - textHeight(4) / 2, { scale: 4, color: '#ffffff', align: 'right' });
+  drawText(canvas, 'Estimated daily move', 60, 170, { scale: 4, color: '#666666' });
+  drawText(canvas, formatChangePercent(total * 100), 60, 215, { scale: 14, color: changeColor(total) });
+
+  const column = (title, items, x) => {
+    drawText(canvas, title, x, 380, { scale: 3, color: '#666666' });
+    if (items.length === 0) {
+      drawText(canvas, 'None', x, 420, { scale: 5, color: '#999999' });
+    }
+    items.forEach((item, index) => {
+      const y = 420 + index * 56;
+      drawText(canvas, item.ticker, x, y, { scale: 5, color: '#333333' });
+      drawText(canvas, formatChangePercent(item.contribution * 100), x + 480, y, { scale: 5, color: changeColor(item.contribution), align: 'right' });
+    });
+  };
+  column('Top contributors', summary.top, 60);
+  column('Top detractors', summary.bottom, 660);
+
+  return await encodePng(canvas);
+}
+
+// Open Graph and Twitter tags for the holdings page; origin and basePath make the URLs absolute
+export function openGraphTags(fund, summary, origin) {
+  const title = `${fund.name} estimated daily move: ${formatChangePercent(summary.totalContribution * 100)}`;
+  const movers = [...summary.top, ...summary.bottom]
+    .map(item => `${item.ticker} ${formatChangePercent(item.contribution * 100)}`)
+    .join(', ');
+  const description = `Holdings of ${summary.holdingsDate || 'unknown date'}${movers ? `. Largest contributions: ${movers}` : ''}`;
+  const tags = {
+    'og:type': 'website',
+    'og:title': title,
+    'og:description': description,
+    'og:url': `${origin}${fund.basePath}/`,
+    'og:image': `${origin}${fund.basePath}/og.png`,
+    'og:image:type': 'image/png',
+    'og:image:width': String(OG_WIDTH),
+    'og:image:height': String(OG_HEIGHT),
+    'twitter:card': 'summary_large_image'
+  };
+
+  return Object.entries(tags)
+    .map(([property, content]) => `<meta ${property.startsWith('twitter:') ? 'name' : 'property'}="${property}" content="${escapeHtml(content)}">`)
+    .join('\n    ');
+}
+
+function changeClass(value) {
+  return value > 0 ? 'positive-change' : value < 0 ? 'negative-change' : '';
+}
+
+function changeColor(value) {
+  return value > 0 ? '#2e7d32' : value < 0 ? '#c62828' : '#333333';
+}
@@ -0,0 +1,72 @@
+// Symbol mapping from DBMF ticker roots to Barchart root symbols, with asset class and display name.
+// Deployments can extend or override it without a code change (see loadSymbolMap).
+export const DEFAULT_SYMBOL_MAP = {
+  'CL': { barchart: 'CL', assetClass: 'energy', name: 'Crude Oil' },
+  'ES': { barchart: 'ES', assetClass: 'equity', name: 'E-mini S&P 500' },
+  'MES': { barchart: 'M0', assetClass: 'equity', name: 'MSCI Emerging Markets' },
+  'JY': { barchart: 'J6', assetClass: 'currencies', name: 'Japanese Yen' },
+  'MFS': { barchart: 'DI', assetClass: 'equity', name: 'MSCI EAFE' },
+  'EC': { barchart: 'E6', assetClass: 'currencies', name: 'Euro' },
+  'GC': { barchart: 'GC', assetClass: 'metals', name: 'Gold' },
+  'US': { barchart: 'ZB', assetClass: 'rates', name: '30-Year Treasury Bond' },
+  'TY': { barchart: 'ZN', assetClass: 'rates', name: '10-Year Treasury Note' },
+  'TU': { barchart: 'TU', assetClass: 'rates', name: '2-Year Treasury Note' },
+};
+
+export const ASSET_CLASSES = {
+  equity: 'Equity Index',
+  rates: 'Rates',
+  currencies: 'Currencies',
+  energy: 'Energy',
+  metals: 'Metals'
+};
+
+export const SYMBOL_MAP_KV_KEY = 'symbol-map';
+
+// Merge overrides over the defaults, lowest precedence first:
+//   1. DEFAULT_SYMBOL_MAP
+//   2. SYMBOL_MAP variable (JSON string or TOML table in wrangler [vars])
+//   3. "symbol-map" key in the CONFIG KV namespace
+//   4. the fund's own symbolMap from the fund registry (funds.js)
+// Override entries may be a full/partial entry object, or just the Barchart root as a string.
+export async function loadSymbolMap(env = {}, fundOverrides = {}) {
+  const symbolMap = {};
+
+  Object.entries(DEFAULT_SYMBOL_MAP).forEach(([root, entry]) => {
+    symbolMap[root] = { ...entry, origin: 'default' };
+  });
+
+  mergeOverrides(symbolMap, readJsonVar(env.SYMBOL_MAP), 'env');
+
+  if (env.CONFIG) {
+    try {
+      mergeOverrides(symbolMap, (await env.CONFIG.get(SYMBOL_MAP_KV_KEY, 'json')) || {}, 'kv');
+    } catch (error) {
+      console.error('Error loading symbol map from KV:', error);
+    }
+  }
+
+  mergeOverrides(symbolMap, fundOverrides, 'fund');
+
+  return symbolMap;
+}
+
+function mergeOverrides(symbolMap, overrides, origin) {
+  Object.entries(overrides).forEach(([root, value]) => {
+    const entry = typeof value === 'string' ? { barchart: value } : value;
+    symbolMap[root.toUpperCase()] = { ...symbolMap[root.toUpperCase()], ...entry, origin };
+  });
+}
+
+// Wrangler [vars] may hold JSON either as a string or as a TOML table
+export function readJsonVar(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error('Invalid JSON in environment variable:', error);
+    return {};
+  }
+}
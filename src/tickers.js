@@ -0,0 +1,41 @@
+// Futures delivery month codes
+export const MONTH_CODES = {
+  'F': 1, 'G': 2, 'H': 3, 'J': 4, 'K': 5, 'M': 6,
+  'N': 7, 'Q': 8, 'U': 9, 'V': 10, 'X': 11, 'Z': 12
+};
+
+// Futures tickers in the holdings file are a root followed by a month code and year digit(s),
+// e.g. CLZ5 -> CL + Z5, MFSZ5 -> MFS + Z5
+export function parseTicker(ticker, referenceDate = new Date()) {
+  const symbol = String(ticker).trim().toUpperCase();
+  const match = symbol.match(/^([A-Z]+?)([A-Z])(\d+)$/);
+
+  if (match && MONTH_CODES[match[2]]) {
+    return {
+      root: match[1],
+      contractCode: match[2] + match[3],
+      monthCode: match[2],
+      month: MONTH_CODES[match[2]],
+      year: resolveContractYear(match[3], referenceDate)
+    };
+  }
+
+  return {
+    root: symbol.match(/^([A-Z]+)/)?.[1] || symbol,
+    contractCode: null,
+    monthCode: null,
+    month: null,
+    year: null
+  };
+}
+
+// Expand a one-digit year to the first matching year from last year onwards (Z5 seen in 2026 -> 2025, H3 -> 2033)
+function resolveContractYear(digits, referenceDate) {
+  if (digits.length >= 2) {
+    return 2000 + Number(digits.slice(-2));
+  }
+
+  const currentYear = referenceDate.getUTCFullYear();
+  const year = Math.floor(currentYear / 10) * 10 + Number(digits);
+  return year < currentYear - 1 ? year + 10 : year;
+}
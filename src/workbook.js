@@ -0,0 +1,268 @@
+import * as XLSX from 'xlsx';
+import { SchemaError } from './errors.js';
+
+// The issuer's file has looked like this, but has been reshuffled before:
+// Row 0: Title
+// Row 1: Empty
+// Row 2-3: Fund info (NAV, SHARES_OUTSTANDING, etc.)
+// Row 4: Empty
+// Row 5: Table headers (DATE, CUSIP, TICKER, DESCRIPTION, SHARES, BASE_MV, PCT_HOLDINGS)
+// Row 6+: Holdings data
+//
+// So instead of fixed row numbers, the header row is found by scanning for known column names,
+// and columns are mapped to canonical names through an alias table.
+
+// Canonical holdings column -> accepted header spellings (compared with normalizeHeader)
+const COLUMN_ALIASES = {
+  DATE: ['DATE', 'AS_OF_DATE', 'AS OF DATE', 'POSITION_DATE', 'HOLDINGS_DATE'],
+  CUSIP: ['CUSIP', 'SECURITY_ID', 'CUSIP_ID'],
+  TICKER: ['TICKER', 'SYMBOL', 'TICKER_SYMBOL', 'STOCK_TICKER'],
+  DESCRIPTION: ['DESCRIPTION', 'SECURITY_NAME', 'SECURITY_DESCRIPTION', 'NAME'],
+  SHARES: ['SHARES', 'QUANTITY', 'CONTRACTS', 'SHARES_PAR', 'SHARES/PAR', 'PAR_VALUE'],
+  BASE_MV: ['BASE_MV', 'MARKET_VALUE', 'MARKET VALUE', 'BASE_MARKET_VALUE', 'MV'],
+  PCT_HOLDINGS: ['PCT_HOLDINGS', 'WEIGHT', 'WEIGHTING', 'PCT_OF_NET_ASSETS', '% OF NET ASSETS', 'PERCENT_OF_FUND', '% OF FUND']
+};
+
+// Canonical fund info field -> accepted spellings in the block above the holdings table
+const FUND_ALIASES = {
+  DATE: ['DATE', 'AS_OF_DATE', 'AS OF DATE'],
+  NAV: ['NAV', 'NAV_PER_SHARE', 'NET_ASSET_VALUE'],
+  SHARES_OUTSTANDING: ['SHARES_OUTSTANDING', 'SHARES OUTSTANDING', 'SHARES_OUT'],
+  NET_ASSETS: ['NET_ASSETS', 'TOTAL_NET_ASSETS', 'NET ASSETS', 'AUM']
+};
+
+// Per-fund parsing options, referenced by name from the fund registry (funds.js). A profile may set
+//   sheet          - sheet name or index to read (default: the first sheet)
+//   columnAliases  - extra header spellings per canonical column, e.g. { "TICKER": ["BBG Ticker"] }
+//   fundAliases    - extra spellings for the fields of the fund info block
+export const PARSER_PROFILES = {
+  // iMGP's DBMF-Holdings.xlsx; the header detection and the aliases above already cover it
+  imgp: {}
+};
+
+const REQUIRED_COLUMNS = ['TICKER', 'PCT_HOLDINGS'];
+
+// How far down the sheet to look for the header row
+const HEADER_SCAN_ROWS = 30;
+
+const COLUMN_LOOKUP = buildLookup(COLUMN_ALIASES);
+const FUND_LOOKUP = buildLookup(FUND_ALIASES);
+
+// A fund's parser setting: a PARSER_PROFILES name or an inline profile object
+export function resolveParserProfile(parser) {
+  if (parser && typeof parser === 'object') return parser;
+  if (!PARSER_PROFILES[parser]) {
+    console.warn(`Unknown parser profile: ${parser}, using the default layout detection`);
+    return {};
+  }
+  return PARSER_PROFILES[parser];
+}
+
+// Parse the holdings sheet (the first one unless the profile names another). Returns
+//   fundInfo - fund-level fields (NAV, SHARES_OUTSTANDING, NET_ASSETS, DATE, ...)
+//   rows     - every holdings row keyed by canonical column names (unknown columns keep their header)
+//   schema   - { headerRow, columns, issues }: where the header was found, how columns were mapped,
+//              and per-row type problems (rows with an unusable PCT_HOLDINGS are dropped)
+export function parseHoldingsWorkbook(data, profile = {}) {
+  let workbook;
+  try {
+    workbook = XLSX.read(data, { type: 'array' });
+  } catch (error) {
+    throw new SchemaError(`The holdings file is not a readable Excel workbook: ${error.message}`);
+  }
+
+  const sheet = profile.sheet ?? 0;
+  const worksheet = workbook.Sheets[typeof sheet === 'number' ? workbook.SheetNames[sheet] : sheet];
+
+  if (!worksheet) {
+    throw new SchemaError(typeof sheet === 'number' && workbook.SheetNames.length === 0
+      ? 'The holdings workbook has no sheets'
+      : `The holdings workbook has no sheet ${JSON.stringify(sheet)} (sheets: ${workbook.SheetNames.join(', ')})`);
+  }
+
+  const columnLookup = profile.columnAliases ? { ...COLUMN_LOOKUP, ...buildLookup(profile.columnAliases) } : COLUMN_LOOKUP;
+  const fundLookup = profile.fundAliases ? { ...FUND_LOOKUP, ...buildLookup(profile.fundAliases) } : FUND_LOOKUP;
+
+  const grid = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: null, blankrows: true });
+  const headerRow = findHeaderRow(grid, columnLookup);
+  const columns = grid[headerRow].map(cell => columnLookup[normalizeHeader(cell)] || (isBlank(cell) ? null : String(cell).trim()));
+
+  const fundInfo = parseFundInfo(grid.slice(0, headerRow), fundLookup);
+  const issues = [];
+  const rows = [];
+
+  grid.slice(headerRow + 1).forEach((cells, offset) => {
+    // Blank separators and single-cell footnotes ("Holdings are subject to change") aren't holdings
+    if (cells.filter(cell => !isBlank(cell)).length < 2) return;
+
+    const rowNumber = headerRow + 1 + offset;
+    const row = {};
+    columns.forEach((column, index) => {
+      if (column && !isBlank(cells[index])) row[column] = cells[index];
+    });
+
+    const label = row['TICKER'] || row['DESCRIPTION'] || `row ${rowNumber}`;
+
+    const pct = toNumber(row['PCT_HOLDINGS']);
+    if (pct === null) {
+      // Footer notes and totals lines have neither a weight nor a ticker; don't report those
+      if (row['TICKER'] || row['PCT_HOLDINGS'] !== undefined) {
+        issues.push(`Row ${rowNumber} (${label}): PCT_HOLDINGS ${JSON.stringify(row['PCT_HOLDINGS'] ?? null)} is not a number, row skipped`);
+      }
+      return;
+    }
+    row['PCT_HOLDINGS'] = pct;
+
+    ['SHARES', 'BASE_MV'].forEach(column => {
+      if (row[column] === undefined) return;
+      const value = toNumber(row[column]);
+      if (value === null) {
+        issues.push(`Row ${rowNumber} (${label}): ${column} ${JSON.stringify(row[column])} is not a number`);
+        delete row[column];
+      } else {
+        row[column] = value;
+      }
+    });
+
+    if (row['DATE'] !== undefined) {
+      const date = toDateNumber(row['DATE']);
+      if (date === null) {
+        issues.push(`Row ${rowNumber} (${label}): DATE ${JSON.stringify(row['DATE'])} is not an 8-digit YYYYMMDD date`);
+        delete row['DATE'];
+      } else {
+        row['DATE'] = date;
+      }
+    }
+
+    // Holdings without a DATE column inherit the fund's as-of date
+    if (row['DATE'] === undefined && fundInfo['DATE']) {
+      row['DATE'] = fundInfo['DATE'];
+    }
+
+    if (row['TICKER'] !== undefined) {
+      row['TICKER'] = String(row['TICKER']).trim();
+    }
+
+    rows.push(row);
+  });
+
+  if (rows.length === 0) {
+    throw new SchemaError(`Found the header row at row ${headerRow}, but no holdings rows with a numeric PCT_HOLDINGS below it`);
+  }
+
+  return { fundInfo, rows, schema: { headerRow, columns: columns.filter(Boolean), issues } };
+}
+
+// The first row that has all REQUIRED_COLUMNS (under any alias)
+function findHeaderRow(grid, columnLookup) {
+  let best = { index: -1, matches: 0 };
+
+  for (let index = 0; index < Math.min(grid.length, HEADER_SCAN_ROWS); index++) {
+    const canonical = (grid[index] || []).map(cell => columnLookup[normalizeHeader(cell)]).filter(Boolean);
+
+    if (REQUIRED_COLUMNS.every(column => canonical.includes(column))) {
+      return index;
+    }
+    if (canonical.length > best.matches) {
+      best = { index, matches: canonical.length };
+    }
+  }
+
+  const closest = best.index >= 0
+    ? `closest match is row ${best.index}: ${grid[best.index].filter(cell => !isBlank(cell)).join(', ')}`
+    : 'no row has any known column name';
+  throw new SchemaError(`Expected a header row with ${REQUIRED_COLUMNS.join(' and ')} columns in the first ${HEADER_SCAN_ROWS} rows; ${closest}`);
+}
+
+// The fund info block is a row of field names directly followed by a row of values
+function parseFundInfo(rowsAboveHeader, fundLookup) {
+  const fundInfo = {};
+  const keyRowIndex = rowsAboveHeader.findIndex(cells =>
+    (cells || []).some(cell => fundLookup[normalizeHeader(cell)] === 'NAV'));
+
+  if (keyRowIndex === -1) {
+    return fundInfo;
+  }
+
+  const keys = rowsAboveHeader[keyRowIndex];
+  const values = rowsAboveHeader[keyRowIndex + 1] || [];
+
+  keys.forEach((key, index) => {
+    if (isBlank(key)) return;
+    const field = fundLookup[normalizeHeader(key)] || String(key).trim();
+    fundInfo[field] = values[index] ?? null;
+  });
+
+  ['NAV', 'SHARES_OUTSTANDING', 'NET_ASSETS'].forEach(field => {
+    if (fundInfo[field] !== undefined) fundInfo[field] = toNumber(fundInfo[field]);
+  });
+  if (fundInfo['DATE'] !== undefined) {
+    fundInfo['DATE'] = toDateNumber(fundInfo['DATE']);
+  }
+
+  // Derive net assets when the file only reports NAV and share count
+  if (fundInfo['NET_ASSETS'] == null && typeof fundInfo['NAV'] === 'number' && typeof fundInfo['SHARES_OUTSTANDING'] === 'number') {
+    fundInfo['NET_ASSETS'] = fundInfo['NAV'] * fundInfo['SHARES_OUTSTANDING'];
+  }
+
+  return fundInfo;
+}
+
+function buildLookup(aliases) {
+  const lookup = {};
+  Object.entries(aliases).forEach(([canonical, spellings]) => {
+    spellings.forEach(spelling => {
+      lookup[normalizeHeader(spelling)] = canonical;
+    });
+  });
+  return lookup;
+}
+
+// "% of Net Assets", "PCT_OF_NET_ASSETS" and "pct of net assets" all compare equal
+function normalizeHeader(cell) {
+  if (isBlank(cell)) return '';
+  return String(cell).toUpperCase().replace(/%/g, 'PCT').replace(/[^A-Z0-9]/g, '');
+}
+
+function isBlank(cell) {
+  return cell === null || cell === undefined || String(cell).trim() === '';
+}
+
+// Numbers, or strings like "1,234.5", "(1,234)" and "5.2%" (as a decimal fraction)
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (isBlank(value)) return null;
+
+  let str = String(value).trim().replace(/,/g, '');
+  const negative = /^\(.*\)$/.test(str);
+  if (negative) str = str.slice(1, -1);
+
+  const isPercent = str.endsWith('%');
+  const number = Number(isPercent ? str.slice(0, -1) : str);
+
+  if (!Number.isFinite(number)) return null;
+  return (negative ? -number : number) / (isPercent ? 100 : 1);
+}
+
+// Normalize to the file's YYYYMMDD number. Accepts 20251017, "20251017", "2025-10-17", "10/17/2025"
+// and Excel serial dates.
+function toDateNumber(value) {
+  if (isBlank(value)) return null;
+
+  const str = String(value).trim();
+  if (/^\d{8}$/.test(str)) return Number(str);
+
+  let match = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) return Number(match[1]) * 10000 + Number(match[2]) * 100 + Number(match[3]);
+
+  match = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) return Number(match[3]) * 10000 + Number(match[1]) * 100 + Number(match[2]);
+
+  // Excel serial day numbers (1 = 1900-01-01) within a sensible range
+  if (typeof value === 'number' && value > 30000 && value < 80000) {
+    const parsed = XLSX.SSF.parse_date_code(value);
+    return parsed.y * 10000 + parsed.m * 100 + parsed.d;
+  }
+
+  return null;
+}
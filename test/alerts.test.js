@@ -0,0 +1,185 @@
+import { env } from 'cloudflare:test';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import worker from '../src/index.js';
+import { evaluateAlertRules, sendAlerts } from '../src/alerts.js';
+import { DEFAULT_FUND, normalizeFund } from '../src/funds.js';
+import { loadHoldings, serializeHoldings } from '../src/holdings.js';
+import { saveSnapshot } from '../src/history.js';
+import { FIXTURE_TIME, freezeTime, mockUpstream, stubReceiver, workerScheduled } from './helpers.js';
+
+const ALERTS_CRON = '*/30 * * * 1-5';
+const SNAPSHOT_CRON = '15 21,22 * * 1-5';
+
+const holdings = (holdingsDate, weights, totalContribution = 0) => ({
+  holdingsDate,
+  totalContribution,
+  holdings: Object.entries(weights).map(([ticker, weight]) => ({ 'TICKER': ticker, 'PCT_HOLDINGS': weight }))
+});
+
+const PREVIOUS = holdings('2025-10-16', { CLZ5: 0.03, ESZ5: 0.10, GCZ5: 0.06 });
+const CURRENT = holdings('2025-10-17', { CLZ5: -0.03, ESZ5: 0.16, GCZ5: 0.065 }, 0.012);
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('evaluateAlertRules', () => {
+  it('reports a root whose net weight changes sign', () => {
+    const events = evaluateAlertRules([{ type: 'flip' }], CURRENT, PREVIOUS, DEFAULT_FUND);
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      id: 'flip:2025-10-17:CL',
+      type: 'flip',
+      root: 'CL',
+      from: 0.03,
+      to: -0.03,
+      fund: 'dbmf',
+      message: 'CL flipped long to short: 3.00% → -3.00%'
+    });
+  });
+
+  it('reports weight changes past the threshold', () => {
+    const events = evaluateAlertRules([{ type: 'weight-change', threshold: 0.05 }], CURRENT, PREVIOUS, DEFAULT_FUND);
+
+    expect(events.map(event => event.id)).toEqual(['weight-change>0.05:2025-10-17:CL', 'weight-change>0.05:2025-10-17:ES']);
+    expect(events[1].message).toBe('ES weight changed by +6.00%: 10.00% → 16.00%');
+  });
+
+  it('reports an estimated move past the threshold, with or without a previous snapshot', () => {
+    const rules = [{ type: 'total-contribution', threshold: 0.01 }];
+
+    expect(evaluateAlertRules(rules, CURRENT, null, DEFAULT_FUND)).toMatchObject([
+      { id: 'total-contribution>0.01:2025-10-17', value: 0.012, message: 'Estimated daily move +1.20% is past ±1.00%' }
+    ]);
+    expect(evaluateAlertRules([{ type: 'total-contribution', threshold: 0.02 }], CURRENT, null, DEFAULT_FUND)).toEqual([]);
+  });
+
+  it('compares positions by root, so a roll is not a flip', () => {
+    const rolling = holdings('2025-10-17', { CLZ5: -0.03, CLF6: 0.05 });
+
+    expect(evaluateAlertRules([{ type: 'flip' }], rolling, PREVIOUS, DEFAULT_FUND)).toEqual([]);
+  });
+
+  it('limits a rule to its roots', () => {
+    const rules = [{ type: 'weight-change', threshold: 0.05, roots: ['es'] }];
+
+    expect(evaluateAlertRules(rules, CURRENT, PREVIOUS, DEFAULT_FUND).map(event => event.root)).toEqual(['ES']);
+  });
+
+  it('prefixes the ids of funds other than the default one', () => {
+    const fund = normalizeFund('kmlm', { name: 'KMLM', sourceUrl: 'https://example.com/kmlm.xlsx' });
+    const [event] = evaluateAlertRules([{ type: 'flip' }], CURRENT, PREVIOUS, fund);
+
+    expect(event).toMatchObject({ id: 'kmlm:flip:2025-10-17:CL', fund: 'kmlm', fundName: 'KMLM' });
+  });
+});
+
+describe('sendAlerts', () => {
+  const events = evaluateAlertRules([{ type: 'flip' }, { type: 'weight-change', threshold: 0.05 }], CURRENT, PREVIOUS, DEFAULT_FUND);
+
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('posts the events as JSON once and nothing on the next run', async () => {
+    const receiver = stubReceiver('https://alerts.example.com/hook');
+    mockUpstream({ receivers: [receiver] });
+    const webhooks = [{ url: receiver.url, format: 'json' }];
+
+    expect(await sendAlerts(env.HOLDINGS_HISTORY, webhooks, events)).toEqual(events);
+    expect(await sendAlerts(env.HOLDINGS_HISTORY, webhooks, events)).toEqual([]);
+
+    expect(receiver.posts).toEqual([{ source: 'dbmfview', events }]);
+  });
+
+  it('posts only the events that are new since the last run', async () => {
+    const receiver = stubReceiver('https://alerts.example.com/hook');
+    mockUpstream({ receivers: [receiver] });
+    const webhooks = [{ url: receiver.url, format: 'json' }];
+
+    await sendAlerts(env.HOLDINGS_HISTORY, webhooks, events.slice(0, 1));
+    await sendAlerts(env.HOLDINGS_HISTORY, webhooks, events);
+
+    expect(receiver.posts.map(post => post.events.map(event => event.id))).toEqual([
+      ['flip:2025-10-17:CL'],
+      ['weight-change>0.05:2025-10-17:CL', 'weight-change>0.05:2025-10-17:ES']
+    ]);
+  });
+
+  it('retries on the next run when every webhook fails', async () => {
+    const first = stubReceiver('https://alerts.example.com/first', { status: 500 });
+    const second = stubReceiver('https://alerts.example.com/second', { status: 503 });
+    mockUpstream({ receivers: [first, second] });
+    const webhooks = [first, second].map(receiver => ({ url: receiver.url, format: 'json' }));
+
+    expect(await sendAlerts(env.HOLDINGS_HISTORY, webhooks, events)).toEqual([]);
+
+    second.status = 200;
+    expect(await sendAlerts(env.HOLDINGS_HISTORY, webhooks, events)).toEqual(events);
+    expect(second.posts).toHaveLength(2);
+  });
+
+  it('counts an event as sent when at least one webhook accepts it', async () => {
+    const failing = stubReceiver('https://alerts.example.com/failing', { status: 500 });
+    const working = stubReceiver('https://alerts.example.com/working');
+    mockUpstream({ receivers: [failing, working] });
+    const webhooks = [failing, working].map(receiver => ({ url: receiver.url, format: 'json' }));
+
+    await sendAlerts(env.HOLDINGS_HISTORY, webhooks, events);
+    await sendAlerts(env.HOLDINGS_HISTORY, webhooks, events);
+
+    expect(failing.posts).toHaveLength(1);
+    expect(working.posts).toHaveLength(1);
+  });
+
+  it('posts one Slack message listing every event', async () => {
+    const receiver = stubReceiver('https://hooks.slack.com/services/T000/B000/XXXX');
+    mockUpstream({ receivers: [receiver] });
+
+    await sendAlerts(env.HOLDINGS_HISTORY, [{ url: receiver.url, format: 'slack' }], events);
+
+    expect(receiver.posts).toEqual([{
+      text: 'DBMF alerts for 2025-10-17:\n' +
+        '• CL flipped long to short: 3.00% → -3.00%\n' +
+        '• CL weight changed by -6.00%: 3.00% → -3.00%\n' +
+        '• ES weight changed by +6.00%: 10.00% → 16.00%'
+    }]);
+  });
+});
+
+describe('scheduled alerts', () => {
+  let receiver;
+  let alertsEnv;
+
+  beforeEach(async () => {
+    freezeTime();
+    receiver = stubReceiver('https://alerts.example.com/hook');
+    mockUpstream({ receivers: [receiver] });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    alertsEnv = { ...env, ALERT_WEBHOOKS: receiver.url };
+
+    // The day before, CL was long
+    const previous = serializeHoldings(await loadHoldings(DEFAULT_FUND, env));
+    previous.holdingsDate = '2025-10-16';
+    previous.holdings.find(holding => holding['TICKER'] === 'CLZ5')['PCT_HOLDINGS'] = 0.03;
+    await saveSnapshot(env.HOLDINGS_HISTORY, previous);
+  });
+
+  it('compares the holdings with the previous snapshot and posts the matching rules', async () => {
+    await workerScheduled(worker, ALERTS_CRON, FIXTURE_TIME, alertsEnv);
+
+    expect(receiver.posts).toHaveLength(1);
+    expect(receiver.posts[0].events.map(event => event.id)).toEqual(['flip:2025-10-17:CL', 'weight-change>0.05:2025-10-17:CL']);
+  });
+
+  it('does not check alerts from the snapshot run', async () => {
+    await workerScheduled(worker, SNAPSHOT_CRON, new Date('2025-10-17T21:15:00Z'), alertsEnv);
+
+    expect(receiver.posts).toEqual([]);
+  });
+});
@@ -0,0 +1,67 @@
+import { env } from 'cloudflare:test';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { cachedJson } from '../src/cache.js';
+import { FIXTURE_TIME, freezeTime } from './helpers.js';
+
+let kv;
+let loads;
+const loader = async () => ++loads;
+
+// Refresh the entry once a minute, each time as the TTL runs out
+const refreshEveryMinute = async (count, options) => {
+  for (let minute = 0; minute < count; minute++) {
+    vi.setSystemTime(FIXTURE_TIME.getTime() + minute * 60 * 1000);
+    await cachedJson('quotes:test', 60, loader, null, { kv, ...options });
+  }
+};
+
+beforeEach(() => {
+  freezeTime();
+  loads = 0;
+  // Count the writes that reach KV
+  kv = {
+    get: (...args) => env.HOLDINGS_HISTORY.get(...args),
+    put: vi.fn((...args) => env.HOLDINGS_HISTORY.put(...args))
+  };
+});
+
+afterEach(async () => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+  await caches.default.delete('https://dbmfview.internal/cache/quotes%3Atest');
+});
+
+describe('cachedJson', () => {
+  it('serves a fresh entry without loading again', async () => {
+    await cachedJson('quotes:test', 60, loader, null, { kv });
+    vi.setSystemTime(FIXTURE_TIME.getTime() + 30 * 1000);
+    const result = await cachedJson('quotes:test', 60, loader, null, { kv });
+
+    expect(result).toEqual({ value: 1, storedAt: FIXTURE_TIME.toISOString(), stale: false, refreshing: false });
+    expect(loads).toBe(1);
+  });
+
+  it('writes every refresh to KV by default', async () => {
+    await refreshEveryMinute(5);
+
+    expect(loads).toBe(5);
+    expect(kv.put).toHaveBeenCalledTimes(5);
+  });
+
+  it('writes to KV at most once per kvInterval', async () => {
+    await refreshEveryMinute(31, { kvInterval: 15 * 60 });
+
+    expect(loads).toBe(31);
+    // Minutes 0, 15 and 30
+    expect(kv.put).toHaveBeenCalledTimes(3);
+  });
+
+  it('falls back to the KV copy when the Cache API has none', async () => {
+    await cachedJson('quotes:test', 60, loader, null, { kv });
+    await caches.default.delete('https://dbmfview.internal/cache/quotes%3Atest');
+    const result = await cachedJson('quotes:test', 60, loader, null, { kv });
+
+    expect(result.value).toBe(1);
+    expect(loads).toBe(1);
+  });
+});
@@ -0,0 +1,64 @@
+import { env } from 'cloudflare:test';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import worker from '../src/index.js';
+import { saveSnapshot } from '../src/history.js';
+import { workerFetch } from './helpers.js';
+
+const snapshot = (holdingsDate, weights) => ({
+  holdingsDate,
+  quotesFetchedAt: `${holdingsDate}T19:00:00.000Z`,
+  fund: { 'NAV': 27.5 },
+  totalContribution: 0.001,
+  holdings: Object.entries(weights).map(([ticker, weight]) => ({
+    'TICKER': ticker,
+    'PCT_HOLDINGS': weight,
+    assetClass: ticker.startsWith('ES') ? 'equity' : 'energy'
+  }))
+});
+
+let kv;
+let chartsEnv;
+
+beforeEach(async () => {
+  await saveSnapshot(env.HOLDINGS_HISTORY, snapshot('2025-10-15', { CLZ5: 0.02, ESZ5: 0.15 }));
+  await saveSnapshot(env.HOLDINGS_HISTORY, snapshot('2025-10-16', { CLZ5: -0.01, ESZ5: 0.16 }));
+  await saveSnapshot(env.HOLDINGS_HISTORY, snapshot('2025-10-17', { CLZ5: -0.0249, ESZ5: 0.1599 }));
+
+  // Count the reads that reach KV
+  kv = {
+    get: vi.fn((...args) => env.HOLDINGS_HISTORY.get(...args)),
+    list: vi.fn((...args) => env.HOLDINGS_HISTORY.list(...args))
+  };
+  chartsEnv = { ...env, HOLDINGS_HISTORY: kv };
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('/charts', () => {
+  it('charts every stored day from the key metadata alone', async () => {
+    const response = await workerFetch(worker, '/charts?from=2025-10-01&to=2025-10-17&root=cl', chartsEnv);
+    const html = await response.text();
+
+    expect(response.status).toBe(200);
+    expect(kv.list).toHaveBeenCalledTimes(1);
+    expect(kv.get).not.toHaveBeenCalled();
+    expect(html).toContain('Short CL since 2025-10-16 (2 snapshots).');
+    expect(html).toContain('<option value="CL" selected>CL</option>');
+  });
+
+  it('defaults to the root with the largest latest weight', async () => {
+    const html = await (await workerFetch(worker, '/charts', chartsEnv)).text();
+
+    expect(html).toContain('<option value="ES" selected>ES</option>');
+    expect(html).toContain('Long ES since at least 2025-10-15 (3 snapshots).');
+  });
+
+  it('rejects dates that are not YYYY-MM-DD', async () => {
+    const response = await workerFetch(worker, '/charts?to=2025-13-45', chartsEnv);
+
+    expect(response.status).toBe(400);
+    expect(await response.text()).toBe('Invalid date, expected YYYY-MM-DD');
+  });
+});
@@ -0,0 +1,20 @@
+import { describe, expect, it } from 'vitest';
+import { computeFidelity } from '../src/fidelity.js';
+
+const day = (date, nav, totalContribution) => ({ date, nav, totalContribution, quotesFetchedAt: null });
+
+describe('computeFidelity', () => {
+  it('compares each estimate with the next NAV change', () => {
+    const fidelity = computeFidelity([day('2025-10-16', 27.40, 0.004), day('2025-10-17', 27.52, 0.0024), day('2025-10-20', 27.45, -0.001)]);
+
+    expect(fidelity.rows.map(row => [row.from, row.to])).toEqual([['2025-10-16', '2025-10-17'], ['2025-10-17', '2025-10-20']]);
+    expect(fidelity.rows[0].realized).toBeCloseTo(27.52 / 27.40 - 1, 10);
+    expect(fidelity.hitRate).toBe(0.5);
+  });
+
+  it('skips pairs more than four days apart, like ?asOf', () => {
+    const fidelity = computeFidelity([day('2025-10-10', 27.40, 0.004), day('2025-10-14', 27.52, 0.0024), day('2025-10-20', 27.45, -0.001)]);
+
+    expect(fidelity.rows.map(row => row.from)).toEqual(['2025-10-10']);
+  });
+});
@@ -0,0 +1,81 @@
+import { vi } from 'vitest';
+import { createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { DEFAULT_FUND } from '../src/funds.js';
+import dbmfWorkbook from './fixtures/DBMF-Holdings.xlsx?inline';
+import CLZ25 from './fixtures/barchart/CLZ25.html?raw';
+import ESZ25 from './fixtures/barchart/ESZ25.html?raw';
+import J6Z25 from './fixtures/barchart/J6Z25.html?raw';
+import GCZ25 from './fixtures/barchart/GCZ25.html?raw';
+import ZNZ25 from './fixtures/barchart/ZNZ25.html?raw';
+import M0Z25 from './fixtures/barchart/M0Z25.html?raw';
+
+// Recorded Barchart overview pages by contract symbol. Euro FX (E6Z25) is missing on purpose, so
+// ECZ5 in the fixture workbook has no quote. MSCI Emerging Markets (M0Z25) is quoted for
+// DBMF-Holdings-msci.xlsx, whose MESZ5 leg trades on ICE's hours.
+export const BARCHART_PAGES = { CLZ25, ESZ25, J6Z25, GCZ25, ZNZ25, M0Z25 };
+
+// Friday 2025-10-17 15:00 New York time: the fixture's holdings date, with Globex open
+export const FIXTURE_TIME = new Date('2025-10-17T19:00:00Z');
+
+// Vite inlines binary fixtures as data: URLs
+export function fixtureBytes(dataUrl) {
+  const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+export function freezeTime(date = FIXTURE_TIME) {
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(date);
+}
+
+// A local webhook endpoint for mockUpstream: keeps the JSON body of every POST in posts and
+// answers with status, which a test may change between runs
+export function stubReceiver(url, { status = 200 } = {}) {
+  return { url, status, posts: [] };
+}
+
+// Replace fetch with the recorded holdings file, Barchart pages and stub receivers; anything else
+// gets a 404. Returns the list of requested URLs.
+export function mockUpstream({ workbook = dbmfWorkbook, pages = BARCHART_PAGES, receivers = [] } = {}) {
+  const requests = [];
+
+  vi.stubGlobal('fetch', async (input, init) => {
+    const request = new Request(input, init);
+    requests.push(request.url);
+
+    const receiver = receivers.find(candidate => candidate.url === request.url);
+    if (receiver) {
+      receiver.posts.push(await request.json());
+      return new Response(null, { status: receiver.status });
+    }
+
+    if (request.url === DEFAULT_FUND.sourceUrl) {
+      return new Response(fixtureBytes(workbook));
+    }
+
+    const barchart = request.url.match(/^https:\/\/www\.barchart\.com\/futures\/quotes\/([^/]+)\//);
+    if (barchart) {
+      const page = pages[decodeURIComponent(barchart[1])];
+      return page ? new Response(page, { headers: { 'Content-Type': 'text/html' } }) : new Response('Not found', { status: 404 });
+    }
+
+    return new Response('Not found', { status: 404 });
+  });
+
+  return requests;
+}
+
+// Call the worker's fetch handler and wait for its background work (cache refreshes)
+export async function workerFetch(worker, path, env) {
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(new Request(`https://dbmfview.test${path}`), env, ctx);
+  await waitOnExecutionContext(ctx);
+  return response;
+}
+
+// Run the worker's cron handler as Cloudflare would for the given schedule and time
+export async function workerScheduled(worker, cron, scheduledTime, env) {
+  const ctx = createExecutionContext();
+  await worker.scheduled({ cron, scheduledTime: scheduledTime.getTime() }, env, ctx);
+  await waitOnExecutionContext(ctx);
+}
@@ -0,0 +1,181 @@
+import { env } from 'cloudflare:test';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import worker from '../src/index.js';
+import {
+  saveSnapshot, loadSnapshot, listSnapshotDates, listSnapshotSummaries,
+  saveSettlements, loadSettlements, listSettlementDates
+} from '../src/history.js';
+import { freezeTime, mockUpstream, workerScheduled } from './helpers.js';
+import msciWorkbook from './fixtures/DBMF-Holdings-msci.xlsx?inline';
+
+const SNAPSHOT_CRON = '15 21,22 * * 1-5';
+
+const snapshot = (holdingsDate, nav, totalContribution) => ({
+  holdingsDate,
+  quotesFetchedAt: `${holdingsDate}T19:00:00.000Z`,
+  fund: { 'NAV': nav },
+  totalContribution,
+  holdings: [{ 'TICKER': 'CLZ5', 'PCT_HOLDINGS': -0.0249 }]
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('snapshots', () => {
+  it('loads a stored snapshot back unchanged', async () => {
+    const stored = snapshot('2025-10-17', 27.52, 0.0024);
+    await saveSnapshot(env.HOLDINGS_HISTORY, stored);
+
+    expect(await loadSnapshot(env.HOLDINGS_HISTORY, '2025-10-17')).toEqual(stored);
+    expect(await loadSnapshot(env.HOLDINGS_HISTORY, '2025-10-16')).toBeNull();
+  });
+
+  it('lists the stored dates oldest first', async () => {
+    for (const date of ['2025-10-17', '2025-10-15', '2025-10-16']) {
+      await saveSnapshot(env.HOLDINGS_HISTORY, snapshot(date, 27.5, 0));
+    }
+
+    expect(await listSnapshotDates(env.HOLDINGS_HISTORY)).toEqual(['2025-10-15', '2025-10-16', '2025-10-17']);
+  });
+
+  it('refuses a snapshot without a holdings date', async () => {
+    await expect(saveSnapshot(env.HOLDINGS_HISTORY, snapshot(null, 27.5, 0))).rejects.toThrow('without a holdings date');
+  });
+
+  it('keeps each fund under its own prefix', async () => {
+    await saveSnapshot(env.HOLDINGS_HISTORY, snapshot('2025-10-16', 27.4, 0.001));
+    await saveSnapshot(env.HOLDINGS_HISTORY, snapshot('2025-10-17', 31.2, -0.002), 'kmlm');
+
+    const { keys } = await env.HOLDINGS_HISTORY.list();
+    expect(keys.map(key => key.name).sort()).toEqual(['kmlm/snapshot:2025-10-17', 'snapshot:2025-10-16']);
+
+    expect(await listSnapshotDates(env.HOLDINGS_HISTORY)).toEqual(['2025-10-16']);
+    expect(await listSnapshotDates(env.HOLDINGS_HISTORY, 'kmlm')).toEqual(['2025-10-17']);
+    expect(await loadSnapshot(env.HOLDINGS_HISTORY, '2025-10-17')).toBeNull();
+    expect((await loadSnapshot(env.HOLDINGS_HISTORY, '2025-10-17', 'kmlm')).fund['NAV']).toBe(31.2);
+  });
+
+  it('stores the daily summary as key metadata', async () => {
+    await saveSnapshot(env.HOLDINGS_HISTORY, snapshot('2025-10-17', 27.52, 0.0024));
+
+    const { keys } = await env.HOLDINGS_HISTORY.list({ prefix: 'snapshot:' });
+    expect(keys[0].metadata).toEqual({
+      nav: 27.52,
+      totalContribution: 0.0024,
+      quotesFetchedAt: '2025-10-17T19:00:00.000Z',
+      weights: { classes: { other: -0.0249 }, roots: { CL: -0.0249 } }
+    });
+  });
+
+  it('sums the net weights per asset class and root', async () => {
+    await saveSnapshot(env.HOLDINGS_HISTORY, {
+      ...snapshot('2025-10-17', 27.52, 0),
+      holdings: [
+        { 'TICKER': 'CLZ5', 'PCT_HOLDINGS': -0.0249, assetClass: 'energy' },
+        { 'TICKER': 'CLF6', 'PCT_HOLDINGS': 0.01, assetClass: 'energy' },
+        { 'TICKER': 'ESZ5', 'PCT_HOLDINGS': 0.1599, assetClass: 'equity' },
+        { 'TICKER': 'XXZ5', 'PCT_HOLDINGS': 0.002, assetClass: null }
+      ]
+    });
+
+    const [summary] = await listSnapshotSummaries(env.HOLDINGS_HISTORY, undefined, { weights: true });
+    expect(summary.weights).toEqual({ classes: { equity: 0.1599, energy: -0.0149, other: 0.002 }, roots: { CL: -0.0149, ES: 0.1599, XX: 0.002 } });
+  });
+
+  it('loads the snapshot for weights that are not in the metadata', async () => {
+    // Stored before the weights were kept, and a fund with too many roots for the metadata limit
+    await env.HOLDINGS_HISTORY.put('snapshot:2025-10-16', JSON.stringify(snapshot('2025-10-16', 27.45, 0)), {
+      metadata: { nav: 27.45, totalContribution: 0, quotesFetchedAt: '2025-10-16T19:00:00.000Z' }
+    });
+    const holdings = Array.from({ length: 150 }, (_, index) => ({
+      'TICKER': String.fromCharCode(65 + Math.floor(index / 26), 65 + index % 26) + 'Z5',
+      'PCT_HOLDINGS': 0.001
+    }));
+    await saveSnapshot(env.HOLDINGS_HISTORY, { ...snapshot('2025-10-17', 27.52, 0), holdings });
+
+    const { keys } = await env.HOLDINGS_HISTORY.list({ prefix: 'snapshot:' });
+    expect(keys[1].metadata).not.toHaveProperty('weights');
+
+    const summaries = await listSnapshotSummaries(env.HOLDINGS_HISTORY, undefined, { weights: true });
+    expect(summaries[0].weights).toEqual({ classes: { other: -0.0249 }, roots: { CL: -0.0249 } });
+    expect(Object.keys(summaries[1].weights.roots)).toHaveLength(150);
+  });
+
+  it('reads the summaries from the metadata, loading snapshots stored without it', async () => {
+    await saveSnapshot(env.HOLDINGS_HISTORY, snapshot('2025-10-17', 27.52, 0.0024));
+    await env.HOLDINGS_HISTORY.put('snapshot:2025-10-16', JSON.stringify(snapshot('2025-10-16', 27.45, -0.001)));
+    await saveSnapshot(env.HOLDINGS_HISTORY, { ...snapshot('2025-10-15', null, 0), fund: null });
+
+    expect(await listSnapshotSummaries(env.HOLDINGS_HISTORY)).toEqual([
+      { date: '2025-10-15', nav: null, totalContribution: 0, quotesFetchedAt: '2025-10-15T19:00:00.000Z' },
+      { date: '2025-10-16', nav: 27.45, totalContribution: -0.001, quotesFetchedAt: '2025-10-16T19:00:00.000Z' },
+      { date: '2025-10-17', nav: 27.52, totalContribution: 0.0024, quotesFetchedAt: '2025-10-17T19:00:00.000Z' }
+    ]);
+  });
+});
+
+describe('settlements', () => {
+  it('round-trips each day and fund separately', async () => {
+    await saveSettlements(env.HOLDINGS_HISTORY, '2025-10-17', { CLZ5: 57.24 });
+    await saveSettlements(env.HOLDINGS_HISTORY, '2025-10-16', { CLZ5: 57.94 });
+    await saveSettlements(env.HOLDINGS_HISTORY, '2025-10-17', { CLZ5: 57.30 }, 'kmlm');
+
+    expect(await loadSettlements(env.HOLDINGS_HISTORY, '2025-10-17')).toEqual({ CLZ5: 57.24 });
+    expect(await loadSettlements(env.HOLDINGS_HISTORY, '2025-10-17', 'kmlm')).toEqual({ CLZ5: 57.30 });
+    expect(await loadSettlements(env.HOLDINGS_HISTORY, '2025-10-15')).toBeNull();
+    expect(await listSettlementDates(env.HOLDINGS_HISTORY)).toEqual(['2025-10-16', '2025-10-17']);
+    expect(await listSettlementDates(env.HOLDINGS_HISTORY, 'kmlm')).toEqual(['2025-10-17']);
+  });
+});
+
+describe('scheduled snapshot', () => {
+  beforeEach(() => {
+    mockUpstream();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  const runAt = async time => {
+    freezeTime(time);
+    await workerScheduled(worker, SNAPSHOT_CRON, time, env);
+  };
+
+  it('stores the holdings and settlements during the CME break', async () => {
+    // 17:15 New York time (EDT)
+    await runAt(new Date('2025-10-17T21:15:00Z'));
+
+    const stored = await loadSnapshot(env.HOLDINGS_HISTORY, '2025-10-17');
+    expect(stored.totalContribution).toBeCloseTo(0.0024, 4);
+    expect(await loadSettlements(env.HOLDINGS_HISTORY, '2025-10-17')).toMatchObject({ CLZ5: 57.24, ESZ5: 6712.5, TYZ5: 112 + 16.5 / 32 });
+  });
+
+  it('leaves out contracts whose market is still open', async () => {
+    mockUpstream({ workbook: msciWorkbook });
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    await runAt(new Date('2025-10-17T21:15:00Z'));
+
+    // ICE US closes at 18:00 New York time, so the MSCI price at 17:15 is intraday
+    expect(await loadSettlements(env.HOLDINGS_HISTORY, '2025-10-17')).toEqual({ CLZ5: 57.24 });
+    expect(warn).toHaveBeenCalledWith('No 2025-10-17 settlement recorded for some DBMF contracts: market not closed yet for MESZ5');
+  });
+
+  it('skips the run that falls after the reopen', async () => {
+    // 18:15 New York time (EDT): Globex has reopened for the next session
+    await runAt(new Date('2025-10-17T22:15:00Z'));
+
+    expect(await listSnapshotDates(env.HOLDINGS_HISTORY)).toEqual([]);
+  });
+
+  it('uses the other run once New York is on standard time', async () => {
+    // 16:15 and 17:15 New York time (EST)
+    await runAt(new Date('2025-11-17T21:15:00Z'));
+    expect(await listSnapshotDates(env.HOLDINGS_HISTORY)).toEqual([]);
+
+    await runAt(new Date('2025-11-17T22:15:00Z'));
+    expect(await listSnapshotDates(env.HOLDINGS_HISTORY)).toEqual(['2025-10-17']);
+  });
+});
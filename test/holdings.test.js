@@ -0,0 +1,148 @@
+import { env } from 'cloudflare:test';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import worker from '../src/index.js';
+import { DEFAULT_FUND } from '../src/funds.js';
+import { loadHoldings } from '../src/holdings.js';
+import { buildColorCodedTable, formatHoldingRows } from '../src/render.js';
+import { freezeTime, mockUpstream, workerFetch } from './helpers.js';
+
+// Weight × daily change for the fixture workbook and Barchart pages
+const EXPECTED_CONTRIBUTIONS = {
+  GCZ5: 0.0651 * 0.021,
+  ESZ5: 0.1599 * 0.0054,
+  CLZ5: -0.0249 * -0.0121,
+  JYZ5: 0,
+  ECZ5: 0,
+  TYZ5: 0.09 * -0.0015
+};
+
+const EXPECTED_TOTAL = Object.values(EXPECTED_CONTRIBUTIONS).reduce((sum, value) => sum + value, 0);
+
+let requests;
+
+beforeEach(() => {
+  freezeTime();
+  requests = mockUpstream();
+  // The missing Euro FX page is logged on every load
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('loadHoldings', () => {
+  it('computes each contribution as weight times daily change', async () => {
+    const holdings = await loadHoldings(DEFAULT_FUND, env);
+
+    holdings.dataWithContributions.forEach(item => {
+      expect(item.contribution).toBeCloseTo(EXPECTED_CONTRIBUTIONS[item.original['TICKER']], 10);
+    });
+  });
+
+  it('sorts holdings by contribution, largest first', async () => {
+    const holdings = await loadHoldings(DEFAULT_FUND, env);
+
+    expect(holdings.dataWithContributions.map(item => item.original['TICKER'])).toEqual(['GCZ5', 'ESZ5', 'CLZ5', 'JYZ5', 'ECZ5', 'TYZ5']);
+  });
+
+  it('sums the contributions into the total', async () => {
+    const holdings = await loadHoldings(DEFAULT_FUND, env);
+
+    expect(holdings.totalContribution).toBeCloseTo(EXPECTED_TOTAL, 10);
+  });
+
+  it('quotes the held contract month and reads its price', async () => {
+    const holdings = await loadHoldings(DEFAULT_FUND, env);
+    const bySymbol = Object.fromEntries(holdings.dataWithContributions.map(item => [item.original['TICKER'], item]));
+
+    expect(requests).toContain('https://www.barchart.com/futures/quotes/ZNZ25/overview');
+    expect(bySymbol.TYZ5).toMatchObject({ quoteSymbol: 'ZNZ25', exactContract: true, quotePrice: 112 + 16.5 / 32 });
+    expect(bySymbol.ESZ5.quotePrice).toBe(6712.5);
+  });
+
+  it('leaves a holding without any quote at N/A and out of the total', async () => {
+    const holdings = await loadHoldings(DEFAULT_FUND, env);
+    const euro = holdings.dataWithContributions.find(item => item.original['TICKER'] === 'ECZ5');
+
+    expect(euro.dailyChangeStr).toBe('N/A');
+    expect(euro.contribution).toBe(0);
+    expect(euro.quoteError).toMatch(/HTTP 404/);
+  });
+
+  it('separates collateral from the futures and reads the fund info block', async () => {
+    const holdings = await loadHoldings(DEFAULT_FUND, env);
+
+    expect(holdings.holdingsDate).toBe('2025-10-17');
+    expect(holdings.fundInfo['NAV']).toBe(27.52);
+    expect(holdings.collateral.map(row => row['DESCRIPTION'])).toEqual(['B 11/20/25 Govt', 'Cash']);
+  });
+});
+
+describe('buildColorCodedTable', () => {
+  it('ends with a TOTAL row holding the total contribution', async () => {
+    const holdings = await loadHoldings(DEFAULT_FUND, env);
+    const html = buildColorCodedTable(formatHoldingRows(holdings.dataWithContributions), holdings.dataWithContributions, holdings.totalContribution);
+    const totalRow = html.slice(html.indexOf('<tr class="total-row"'));
+
+    expect(totalRow).toContain('TOTAL');
+    expect(totalRow).toContain('+0.24%');
+  });
+
+  it('renders the recorded holdings', async () => {
+    const holdings = await loadHoldings(DEFAULT_FUND, env);
+    const html = buildColorCodedTable(formatHoldingRows(holdings.dataWithContributions), holdings.dataWithContributions, holdings.totalContribution);
+
+    expect(html).toMatchSnapshot();
+  });
+
+  it('escapes workbook text and configured asset classes', async () => {
+    const holdings = await loadHoldings(DEFAULT_FUND, env);
+    const [first] = holdings.dataWithContributions;
+    first.original['DESCRIPTION'] = '<img src=x onerror=alert(1)>';
+    first.assetClass = '"><script>alert(1)</script>';
+    const html = buildColorCodedTable(formatHoldingRows(holdings.dataWithContributions), holdings.dataWithContributions, holdings.totalContribution);
+
+    expect(html).not.toContain('<img');
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('<td>&lt;img src=x onerror=alert(1)&gt;</td>');
+    expect(html).toContain('data-asset-class="&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;"');
+  });
+
+  it('says so when there are no holdings', () => {
+    expect(buildColorCodedTable([], [], 0)).toBe('<p>No holdings with tickers found.</p>');
+  });
+});
+
+describe('worker', () => {
+  it('serves the holdings page', async () => {
+    const response = await workerFetch(worker, '/', env);
+    const html = await response.text();
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toBe('text/html;charset=UTF-8');
+    expect(html).toContain('<title>DBMF Holdings</title>');
+    expect(html).toContain('<td>GCZ5</td>');
+  });
+
+  it('serves the same numbers as JSON', async () => {
+    const response = await workerFetch(worker, '/api/holdings', env);
+    const body = await response.json();
+
+    expect(body.holdingsDate).toBe('2025-10-17');
+    expect(body.totalContribution).toBeCloseTo(EXPECTED_TOTAL, 10);
+    expect(body.holdings.map(holding => holding['TICKER'])).toEqual(['GCZ5', 'ESZ5', 'CLZ5', 'JYZ5', 'ECZ5', 'TYZ5']);
+    expect(body.holdings.find(holding => holding['TICKER'] === 'ECZ5').contribution).toBeNull();
+  });
+
+  it('fetches the workbook and quotes once and serves repeat requests from the cache', async () => {
+    await workerFetch(worker, '/api/holdings', env);
+    const firstRun = requests.length;
+    await workerFetch(worker, '/api/holdings', env);
+
+    expect(requests.length).toBe(firstRun);
+  });
+});
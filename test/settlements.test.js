@@ -0,0 +1,88 @@
+import { env } from 'cloudflare:test';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import worker from '../src/index.js';
+import { DEFAULT_FUND } from '../src/funds.js';
+import { loadHoldings, serializeHoldings } from '../src/holdings.js';
+import { saveSettlements, saveSnapshot } from '../src/history.js';
+import { loadSettlementWindow, settlementReturns } from '../src/settlements.js';
+import { freezeTime, mockUpstream, workerFetch } from './helpers.js';
+
+const SUPPLIED = JSON.stringify({
+  '2025-10-16': { 'TYZ5': '112-08', 'CLZ5': '57.94' },
+  '2025-10-17': { 'TYZ5': '112-16', 'CLZ5': 57.24 }
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('loadSettlementWindow', () => {
+  it('merges supplied prices over stored ones and finds the previous trading day', async () => {
+    await saveSettlements(env.HOLDINGS_HISTORY, '2025-10-17', { 'CLZ5': 57.3, 'GCZ5': 4213.4 });
+
+    const window = await loadSettlementWindow(env.HOLDINGS_HISTORY, { SETTLEMENTS: SUPPLIED }, '2025-10-17');
+
+    expect(window).toEqual({
+      date: '2025-10-17',
+      previousDate: '2025-10-16',
+      prices: { 'CLZ5': 57.24, 'GCZ5': 4213.4, 'TYZ5': '112-16' },
+      previousPrices: { 'TYZ5': '112-08', 'CLZ5': '57.94' }
+    });
+  });
+});
+
+describe('settlementReturns', () => {
+  const window = {
+    date: '2025-10-17',
+    previousDate: '2025-10-16',
+    prices: { 'TYZ5': '112-16', 'CLZ5': '57.24', 'GCZ5': 4213.4 },
+    previousPrices: { 'TYZ5': "112'08", 'CLZ5': 57.94 }
+  };
+
+  it('reads prices the way quotes are read, including Treasury 32nds', () => {
+    const returns = settlementReturns(['TYZ5', 'CLZ5'], window);
+
+    expect(returns['TYZ5']).toMatchObject({ settle: 112.5, previousSettle: 112.25, error: null });
+    expect(returns['TYZ5'].changePct).toBeCloseTo((112.5 / 112.25 - 1) * 100, 10);
+    expect(returns['CLZ5'].changePct).toBeCloseTo((57.24 / 57.94 - 1) * 100, 10);
+  });
+
+  it('rejects previous settlements more than four days back', () => {
+    const afterHoliday = settlementReturns(['CLZ5'], { ...window, date: '2025-10-14', previousDate: '2025-10-10' });
+    const afterGap = settlementReturns(['CLZ5'], { ...window, date: '2025-10-15', previousDate: '2025-10-10' });
+
+    expect(afterHoliday['CLZ5'].error).toBeNull();
+    expect(afterGap['CLZ5']).toMatchObject({ changePct: null, error: 'previous settlements (2025-10-10) are more than 4 days before 2025-10-15' });
+  });
+
+  it('reports a missing price instead of a return', () => {
+    const returns = settlementReturns(['GCZ5', 'ESZ5'], window);
+
+    expect(returns['GCZ5']).toMatchObject({ changePct: null, error: 'no settlement price for GCZ5 on 2025-10-16' });
+    expect(returns['ESZ5']).toMatchObject({ changePct: null, error: 'no settlement price for ESZ5 on 2025-10-17' });
+  });
+});
+
+describe('?asOf', () => {
+  beforeEach(async () => {
+    freezeTime();
+    mockUpstream();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const snapshot = serializeHoldings(await loadHoldings(DEFAULT_FUND, env));
+    await saveSnapshot(env.HOLDINGS_HISTORY, { ...snapshot, holdingsDate: '2025-10-16' });
+  });
+
+  it('attributes supplied settlements in 32nds to the previous holdings', async () => {
+    const response = await workerFetch(worker, '/api/holdings?asOf=2025-10-17', { ...env, SETTLEMENTS: SUPPLIED });
+    const body = await response.json();
+    const treasury = body.holdings.find(holding => holding['TICKER'] === 'TYZ5');
+
+    expect(response.status).toBe(200);
+    expect(treasury.dailyChangePct).toBeCloseTo(112.5 / 112.25 - 1, 10);
+    expect(treasury.contribution).toBeCloseTo(0.09 * (112.5 / 112.25 - 1), 10);
+  });
+});
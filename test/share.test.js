@@ -0,0 +1,104 @@
+import { env } from 'cloudflare:test';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import worker from '../src/index.js';
+import { DEFAULT_FUND } from '../src/funds.js';
+import { renderSummaryPng } from '../src/share.js';
+import { freezeTime, mockUpstream, workerFetch } from './helpers.js';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// { type: data } for each chunk of a PNG file
+function readChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = {};
+  for (let offset = PNG_SIGNATURE.length; offset < bytes.length;) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    chunks[type] = bytes.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+// The PLTE chunk as "#rrggbb" strings
+function readPalette(bytes) {
+  const plte = readChunks(bytes).PLTE;
+  const colors = [];
+  for (let index = 0; index < plte.length; index += 3) {
+    colors.push('#' + [...plte.subarray(index, index + 3)].map(byte => byte.toString(16).padStart(2, '0')).join(''));
+  }
+  return colors;
+}
+
+const FLAT_SUMMARY = { holdingsDate: '2025-10-17', quotesFetchedAt: null, totalContribution: 0, top: [], bottom: [] };
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('renderSummaryPng', () => {
+  it('draws a flat move in dark grey', async () => {
+    const palette = readPalette(await renderSummaryPng(DEFAULT_FUND, FLAT_SUMMARY));
+
+    expect(palette).toContain('#333333');
+    expect(palette).not.toContain('#330300');
+  });
+
+  it('draws gains in green and losses in red', async () => {
+    const summary = {
+      ...FLAT_SUMMARY,
+      totalContribution: 0.0024,
+      top: [{ ticker: 'GCZ5', contribution: 0.0014 }],
+      bottom: [{ ticker: 'TYZ5', contribution: -0.0001 }]
+    };
+    const palette = readPalette(await renderSummaryPng(DEFAULT_FUND, summary));
+
+    expect(palette).toEqual(expect.arrayContaining(['#ffffff', '#2e7d32', '#c62828', '#666666', '#667eea', '#764ba2']));
+  });
+});
+
+describe('share routes', () => {
+  beforeEach(() => {
+    freezeTime();
+    mockUpstream();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('serves the Open Graph image as a 1200x630 PNG', async () => {
+    const response = await workerFetch(worker, '/og.png', env);
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    const header = new DataView(readChunks(bytes).IHDR.buffer, readChunks(bytes).IHDR.byteOffset);
+
+    expect(response.headers.get('Content-Type')).toBe('image/png');
+    expect([...bytes.subarray(0, 8)]).toEqual(PNG_SIGNATURE);
+    expect([header.getUint32(0), header.getUint32(4)]).toEqual([1200, 630]);
+    expect(readPalette(bytes)).toContain('#2e7d32');
+  });
+
+  it('points the holdings page og:image at the PNG', async () => {
+    const html = await (await workerFetch(worker, '/', env)).text();
+
+    expect(html).toContain('<meta property="og:image" content="https://dbmfview.test/og.png">');
+    expect(html).toContain('<meta property="og:image:type" content="image/png">');
+  });
+
+  it('still serves the SVG image', async () => {
+    const response = await workerFetch(worker, '/og.svg', env);
+
+    expect(response.headers.get('Content-Type')).toBe('image/svg+xml;charset=UTF-8');
+    expect(await response.text()).toContain('+0.24%');
+  });
+
+  it('serves the embed card with the estimated move and top contributors', async () => {
+    const response = await workerFetch(worker, '/embed', env);
+    const html = await response.text();
+
+    expect(response.headers.get('Content-Security-Policy')).toBe('frame-ancestors *');
+    expect(html).toContain('<strong class="positive-change">+0.24%</strong>');
+    expect(html).toContain('<span title="GOLD 100 OZ FUTR DEC25">GCZ5</span>');
+    expect(html).toContain('<a href="https://dbmfview.test/" target="_blank" rel="noopener">');
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, expect, it } from 'vitest';
+import { parseHoldingsWorkbook } from '../src/workbook.js';
+import { SchemaError } from '../src/errors.js';
+import { fixtureBytes } from './helpers.js';
+import dbmfWorkbook from './fixtures/DBMF-Holdings.xlsx?inline';
+import headerShift from './fixtures/layouts/header-shift.xlsx?inline';
+import renamedColumns from './fixtures/layouts/renamed-columns.xlsx?inline';
+import numberFormats from './fixtures/layouts/number-formats.xlsx?inline';
+import dateFormats from './fixtures/layouts/date-formats.xlsx?inline';
+import missingTicker from './fixtures/layouts/missing-ticker.xlsx?inline';
+import footerRows from './fixtures/layouts/footer-rows.xlsx?inline';
+
+const parse = fixture => parseHoldingsWorkbook(fixtureBytes(fixture));
+const tickers = result => result.rows.map(row => row['TICKER']);
+
+describe('parseHoldingsWorkbook', () => {
+  it('reads the issuer layout', () => {
+    const result = parse(dbmfWorkbook);
+
+    expect(result.schema.headerRow).toBe(5);
+    expect(result.schema.issues).toEqual([]);
+    expect(result.fundInfo).toMatchObject({ DATE: 20251017, NAV: 27.52, SHARES_OUTSTANDING: 45150000, NET_ASSETS: 1242528000 });
+    expect(result.rows[0]).toEqual({
+      DATE: 20251017, CUSIP: 'CLZ5', TICKER: 'CLZ5', DESCRIPTION: 'CRUDE OIL FUTR DEC25', SHARES: -540, BASE_MV: -30909600, PCT_HOLDINGS: -0.0249
+    });
+  });
+
+  it('finds a header row pushed further down the sheet', () => {
+    const result = parse(headerShift);
+
+    expect(result.schema.headerRow).toBe(9);
+    expect(result.fundInfo['NAV']).toBe(27.52);
+    expect(tickers(result)).toEqual(['CLZ5', 'ESZ5']);
+  });
+
+  it('maps renamed and reordered columns to the canonical names', () => {
+    const result = parse(renamedColumns);
+
+    expect(result.schema.columns).toEqual(['TICKER', 'DESCRIPTION', 'PCT_HOLDINGS', 'SHARES', 'BASE_MV', 'DATE', 'CUSIP']);
+    expect(result.rows[1]).toMatchObject({ TICKER: 'ESZ5', DESCRIPTION: 'S&P500 EMINI FUT DEC25', PCT_HOLDINGS: 0.1599, SHARES: 592 });
+  });
+
+  it('reads a renamed fund info block and derives net assets from it', () => {
+    const result = parse(renamedColumns);
+
+    expect(result.fundInfo).toEqual({ DATE: 20251017, NAV: 27.52, SHARES_OUTSTANDING: 45150000, NET_ASSETS: 27.52 * 45150000 });
+  });
+
+  it('parses numbers written as text, percents and parenthesised negatives', () => {
+    const [crude, spx, gold] = parse(numberFormats).rows;
+
+    expect(crude.SHARES).toBe(-540);
+    expect(crude.BASE_MV).toBe(-30909600);
+    expect(crude.PCT_HOLDINGS).toBeCloseTo(-0.0249, 10);
+    expect(spx.BASE_MV).toBe(198690000);
+    expect(spx.PCT_HOLDINGS).toBeCloseTo(0.1599, 10);
+    expect(gold.PCT_HOLDINGS).toBe(0.0651);
+  });
+
+  it('drops unreadable numbers and skips rows without a weight, listing both as issues', () => {
+    const result = parse(numberFormats);
+
+    expect(tickers(result)).toEqual(['CLZ5', 'ESZ5', 'GCZ5']);
+    expect(result.rows[2]).not.toHaveProperty('SHARES');
+    expect(result.schema.issues).toEqual([
+      'Row 3 (GCZ5): SHARES "n/a" is not a number',
+      'Row 4 (TYZ5): PCT_HOLDINGS "tbd" is not a number, row skipped'
+    ]);
+  });
+
+  it('normalizes MM/DD/YYYY, ISO and Excel serial dates to YYYYMMDD', () => {
+    const result = parse(dateFormats);
+
+    expect(result.rows.slice(0, 3).map(row => row['DATE'])).toEqual([20251017, 20251017, 20251017]);
+  });
+
+  it('keeps a row with an unreadable date and lists the date as an issue', () => {
+    const result = parse(dateFormats);
+
+    expect(result.rows[3]).toEqual({ TICKER: 'TYZ5', PCT_HOLDINGS: 0.09 });
+    expect(result.schema.issues).toEqual(['Row 4 (TYZ5): DATE "yesterday" is not an 8-digit YYYYMMDD date']);
+  });
+
+  it('rejects a sheet without a TICKER column, naming the closest header row', () => {
+    expect(() => parse(missingTicker)).toThrow(SchemaError);
+    expect(() => parse(missingTicker)).toThrow(
+      'Expected a header row with TICKER and PCT_HOLDINGS columns in the first 30 rows; ' +
+      'closest match is row 2: DATE, CUSIP, DESCRIPTION, SHARES, BASE_MV, PCT_HOLDINGS');
+  });
+
+  it('ignores blank rows and footnotes below the table', () => {
+    const result = parse(footerRows);
+
+    expect(tickers(result)).toEqual(['CLZ5', 'ESZ5']);
+    // The totals line has a value in the weight column, so it is reported; the footnotes are not
+    expect(result.schema.issues).toEqual(['Row 4 (Total): PCT_HOLDINGS "see prospectus" is not a number, row skipped']);
+  });
+
+  it('rejects data that is not a workbook', () => {
+    expect(() => parseHoldingsWorkbook(new TextEncoder().encode('<html>Not found</html>'))).toThrow(SchemaError);
+  });
+});
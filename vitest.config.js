@@ -0,0 +1,19 @@
+import { defineWorkersConfig } from '@cloudflare/vitest-pool-workers/config';
+
+// Tests run inside workerd with Miniflare's local KV and Cache API, using the bindings in
+// wrangler.toml. Fixture workbooks are imported with ?inline (a data: URL) and Barchart pages with ?raw.
+export default defineWorkersConfig({
+  // Lets Vite inline the fixture workbooks instead of parsing them as JavaScript
+  assetsInclude: ['**/*.xlsx'],
+  test: {
+    poolOptions: {
+      workers: {
+        wrangler: { configPath: './wrangler.toml' },
+        miniflare: {
+          // Needed by the Vitest runner inside workerd, not by the worker itself
+          compatibilityFlags: ['nodejs_compat']
+        }
+      }
+    }
+  }
+});